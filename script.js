@@ -14,13 +14,377 @@ const CONFIG = {
   
   // Random NFT background system tuning
   MIN_VISIBLE_MS: 25000, // Minimum on-screen lifetime before removal is allowed
-  OVERLAP_BUFFER_PX: 80, // Extra spacing between NFTs when resolving overlaps
+  OVERLAP_BUFFER_PX: 80, // Minimum gap between NFTs, for placement and overlap resolution
   OVERLAP_RESOLVE_INTERVAL_MS: 1200, // How often to scan and resolve overlaps
+  MEME_MANIFEST_URL: 'memes/manifest.json', // Filenames, dimensions, alt text and tags
+  MEME_DIR: 'memes',
+  
+  // Background scheduler - a single tick drives the whole meme population
+  BACKGROUND: {
+    TICK_MS: 250,
+    START_DELAY_MS: 1000, // Quiet period before the first spawn
+    SPAWN_STAGGER_MS: 1200, // Minimum gap between two spawns
+    TARGET_COUNT: 4, // Population the scheduler fills toward
+    MAX_COUNT: 5, // Hard cap on active (not fading) memes
+    LIFETIME_MIN_MS: 20000, // Lifetime is 20-45s, but never under MIN_VISIBLE_MS
+    LIFETIME_JITTER_MS: 25000,
+    FADE_OUT_MS: 15000,
+    TURNOVER_INTERVAL_MS: 8000, // How often a turnover is considered
+    TURNOVER_CHANCE: 0.4, // Odds of retiring one meme per turnover check
+    SEED: null, // Fixed layout seed; ?seed= in the URL wins, null picks a fresh one
+    PROTECTED_SELECTORS: ['.brand-section', '.links-section', '.gallery-link', '.sound-toggle', '.page-controls'], // Memes keep clear of these
+    PROTECTED_PADDING_PX: 24, // Extra clearance around each protected element
+    EDGE_MARGIN_PX: 20, // Keep memes this far inside the viewport
+    PLACEMENT_CELL_PX: 16, // Occupancy grid resolution for placement
+    PLACEMENT_CANDIDATES: 12, // Free spots compared per placement (higher spreads memes further)
+    RESIZE_DEBOUNCE_MS: 250, // Wait for resizing to settle before reflowing
+    
+    // Calm mode (prefers-reduced-motion): no floating, drift, nudges or turnover
+    CALM: {
+      LIFETIME_MS: 300000 // Memes are swapped this rarely; null keeps them until reload
+    },
+    
+    // Pinned memes stay until unpinned and are restored on the next visit
+    PINS: {
+      MAX: 3, // Kept below TARGET_COUNT so some memes still rotate
+      STORAGE_KEY: 'tang-pinned-memes'
+    },
+    
+    // Physics drift - memes glide instead of sitting still and being nudged apart
+    DRIFT: {
+      ENABLED: false,
+      SPEED_PX_S: 12, // Cruise speed
+      MAX_SPEED_PX_S: 40, // Cap after repulsion pushes
+      REPULSION: 60, // Push between memes closer than OVERLAP_BUFFER_PX (px/s²)
+      ZONE_REPULSION: 240, // Push away from the protected content (px/s²)
+      ZONE_CLEARANCE_PX: 60, // Distance from the content at which the push starts
+      EASING: 0.8 // How quickly speed settles back to cruise (per second)
+    }
+  },
   
   // Feature flags
   FEATURES: {
     ANALYTICS: false,
-    SOUND_EFFECTS: false
+    SOUND_EFFECTS: false,
+    OFFLINE: true // Service worker (needs https or localhost)
+  },
+  
+  // Offline support - the service worker caches the shell, button art and viewed memes
+  OFFLINE: {
+    SERVICE_WORKER_URL: 'sw.js' // At the site root so it controls the whole page
+  },
+  
+  // Error reporting - window errors, rejections and failed images, with breadcrumbs
+  ERRORS: {
+    TRANSPORT: 'console', // 'console', 'http' or 'noop'
+    ENDPOINT: null, // Report URL for the http transport, e.g. 'http://localhost:8787/errors'
+    MAX_BREADCRUMBS: 30, // Recent events attached to each report
+    DEDUPE_WINDOW_MS: 60000, // Repeats of the same error inside this window are only counted
+    MAX_REPORTS_PER_MINUTE: 10
+  },
+  
+  // Analytics pipeline (used when FEATURES.ANALYTICS is on)
+  ANALYTICS: {
+    TRANSPORT: 'console', // 'console', 'http' or 'noop'
+    ENDPOINT: null, // Collector URL for the http transport, e.g. 'http://localhost:8787/collect'
+    BATCH_SIZE: 10, // Events per request
+    FLUSH_INTERVAL_MS: 10000,
+    MAX_BUFFERED: 200, // Events kept while offline or waiting for consent (oldest dropped)
+    REQUIRE_CONSENT: true, // Hold everything until the visitor opts in
+    STORAGE_KEY: 'tang-analytics-buffer',
+    CONSENT_KEY: 'tang-analytics-consent'
+  },
+  
+  // Web vitals budgets and adaptive background quality
+  PERFORMANCE: {
+    BUDGETS: { lcp: 2500, cls: 0.1, inp: 200 }, // "Good" thresholds (ms, score, ms)
+    FPS_SAMPLE_MS: 1000, // Frame-rate sample length
+    DEGRADE_FPS: 40, // Samples under this count as slow
+    DEGRADE_SAMPLES: 3, // Slow samples in a row before stepping down a tier
+    RECOVER_FPS: 55, // Samples at or over this count as smooth
+    RECOVER_SAMPLES: 10, // Smooth samples in a row before stepping back up
+    // Each tier gives up a little more: floating, then density, then size
+    TIERS: [
+      { name: 'full', floating: true, targetScale: 1, sizes: ['size-small', 'size-medium', 'size-large'] },
+      { name: 'no-float', floating: false, targetScale: 1, sizes: ['size-small', 'size-medium', 'size-large'] },
+      { name: 'sparse', floating: false, targetScale: 0.5, sizes: ['size-small', 'size-medium', 'size-large'] },
+      { name: 'small', floating: false, targetScale: 0.5, sizes: ['size-small'] }
+    ]
+  },
+  
+  // Asset preloading - per-priority timeouts (an asset can set its own timeoutMs)
+  PRELOAD: {
+    TIMEOUT_MS: { critical: 8000, high: 10000, low: 15000 }
+  },
+  
+  // Theme selection - ?theme= wins, then the saved choice, then the OS preference
+  THEME: {
+    DEFAULT: 'cyan', // Light theme
+    DARK: 'dark', // Used when the OS prefers a dark color scheme
+    STORAGE_KEY: 'tang-theme' // Set by the theme switcher ('auto' clears it)
+  },
+  
+  // Localization - ?lang= wins, then the saved choice, then navigator.languages
+  I18N: {
+    DEFAULT_LOCALE: 'en', // Fallback for missing messages; must be in MESSAGES
+    STORAGE_KEY: 'tang-locale' // Set by the language switcher ('auto' clears it)
+  },
+  
+  // Loading overlay - shows critical preload progress
+  LOADING: {
+    MIN_MS: 500, // Once shown, stay at least this long so it doesn't flash
+    MAX_MS: 9000, // Reveal the page anyway after this, with a notice; keep it above PRELOAD.TIMEOUT_MS.critical
+    FADE_MS: 450, // Matches the #loading-overlay opacity transition
+    CACHED_GRACE_MS: 150, // Returning visitors only see the overlay if loading takes longer
+    STORAGE_KEY: 'tang-returning-visitor' // Set once the critical assets have loaded
+  },
+  
+  // Synthesized sound cues (used when FEATURES.SOUND_EFFECTS is on)
+  SOUND: {
+    VOLUME: 0.4, // Master volume, 0-1
+    STORAGE_KEY: 'tang-sound-muted', // Mute toggle state in localStorage
+    CUES: {
+      hover: { wave: 'sine', frequency: 880, duration: 0.06, gain: 0.15 },
+      click: { wave: 'triangle', frequency: 520, endFrequency: 780, duration: 0.12, gain: 0.4 },
+      spawn: { wave: 'sine', frequency: 330, endFrequency: 495, duration: 0.5, gain: 0.06 },
+      remove: { wave: 'sine', frequency: 440, endFrequency: 220, duration: 0.8, gain: 0.05 }
+    }
+  },
+  
+  // Collection gallery
+  GALLERY: {
+    DATA_URL: 'docs/collection.json', // Bundled Helius DAS getAssetsByGroup response
+    PAGE_SIZE: 24,
+    IMAGE_DIR: null // e.g. 'docs/nft_images' after running scripts/download_nft_images.py
+  }
+};
+
+/**
+ * Circular link buttons, rendered into `.links-section` in `order`.
+ * Adding, removing or reordering a link only needs an edit here;
+ * set `visible: false` to hide an entry without deleting it.
+ */
+const BUTTON_MANIFEST = [
+  {
+    id: 'token',
+    label: 'Token',
+    url: 'https://pump.fun/coin/CUjDtd4cRXfTSJxyQjvqKTDxSVUkkWG6f4cAc28rpump',
+    ariaLabel: 'Visit Tang Token on Pump.fun',
+    png: 'assets/images/token.png',
+    gif: 'assets/images/token.gif',
+    order: 1
+  },
+  {
+    id: 'nft',
+    label: 'NFT',
+    url: 'https://x.com/MangTheTang',
+    ariaLabel: 'Visit Tang NFTs on Twitter',
+    png: 'assets/images/X.png',
+    gif: 'assets/images/X.gif',
+    order: 2
+  },
+  {
+    id: 'artist',
+    label: 'Artist',
+    url: 'https://x.com/0xRadi0',
+    ariaLabel: 'Visit Artist 0xRadi0 on Twitter',
+    png: 'assets/images/radio.png',
+    gif: 'assets/images/radio.gif',
+    order: 3
+  },
+  {
+    id: 'depot',
+    label: 'Depot',
+    url: 'https://memedepot.com/d/af4epa-my-depot',
+    ariaLabel: 'Visit Mang on Meme Depot',
+    png: 'assets/images/meme_depot.png',
+    gif: 'assets/images/meme_depot.gif',
+    order: 4
+  }
+];
+
+/**
+ * Themes, selectable with the theme switcher or ?theme=<name>. Each theme is a
+ * set of CSS custom properties (set on <html> over the :root values in
+ * styles.css) and can also bring:
+ * - `header`: banner image URL
+ * - `buttons`: art per button id, e.g. { token: { png, gif } }
+ * - `memeOpacity`: opacity of the background memes
+ * `scheme` is the color-scheme it is designed for ('light' or 'dark').
+ */
+const THEMES = {
+  cyan: {
+    label: 'Cyan',
+    scheme: 'light',
+    properties: {} // The styles.css defaults
+  },
+  dark: {
+    label: 'Dark',
+    scheme: 'dark',
+    properties: {
+      '--primary-bg': '#0d1f1e',
+      '--primary-text': '#e6fffc',
+      '--secondary-text': '#a8cfcb',
+      '--accent-color': '#00ffea',
+      '--button-bg': 'rgba(24, 48, 46, 0.9)',
+      '--button-hover': 'rgba(34, 66, 63, 1)',
+      '--shadow-color': 'rgba(0, 0, 0, 0.45)'
+    },
+    memeOpacity: 0.14
+  }
+};
+
+/**
+ * Message catalogs, one per locale, keyed by message id. A message is a string
+ * with {placeholders}, or an object of plural forms ('zero', 'one', 'two',
+ * 'few', 'many', 'other' - as Intl.PluralRules names them) chosen by `count`.
+ * `meta.name` is the language's own name for the switcher. Button labels and
+ * theme names fall back to BUTTON_MANIFEST and THEMES, so only other languages
+ * list them (`buttons.<id>.label`, `buttons.<id>.ariaLabel`, `themes.<name>`).
+ */
+const MESSAGES = {
+  en: {
+    'meta.name': 'English',
+    'page.skipLink': 'Skip to main content',
+    'page.loaded': 'Tang Collection page loaded',
+    'page.bannerAlt': 'Dang Mang - Tangs, Hangs, and Mangs',
+    'controls.theme': 'Theme',
+    'controls.language': 'Language',
+    'controls.auto': 'Auto',
+    'loading.label': 'Loading the page',
+    'loading.started': 'Loading',
+    'loading.done': 'Page loaded',
+    'loading.degraded': 'Page loaded, some images are missing',
+    'loading.noticeTimeout': 'This is taking longer than usual, so some images may still be loading.',
+    'loading.noticeFailed': 'Some images could not be loaded. Reloading the page may help.',
+    'loading.dismiss': 'Dismiss notice',
+    'sound.mute': 'Mute sound effects',
+    'sound.unmute': 'Unmute sound effects',
+    'analytics.label': 'Analytics consent',
+    'analytics.question': 'Can we count clicks and visits anonymously to improve the site?',
+    'analytics.allow': 'Allow',
+    'analytics.deny': 'No thanks',
+    'meme.open': 'Open meme: {alt}',
+    'lightbox.close': 'Close meme',
+    'lightbox.download': 'Download',
+    'lightbox.pin': 'Pin',
+    'lightbox.unpin': 'Unpin',
+    'lightbox.copy': 'Copy link',
+    'lightbox.share': 'Share to X',
+    'lightbox.shareText': '{title} - Tang Collection',
+    'lightbox.pinned': 'Pinned - it will stay on your background',
+    'lightbox.unpinned': 'Unpinned',
+    'lightbox.pinLimit': {
+      one: 'You can pin {count} meme - unpin it first',
+      other: 'You can pin up to {count} memes - unpin one first'
+    },
+    'lightbox.copied': 'Link copied!',
+    'gallery.link': 'Gallery',
+    'gallery.title': 'The Collection',
+    'gallery.search': 'Search by name',
+    'gallery.sort': 'Sort',
+    'gallery.sortOrder': 'Collection order',
+    'gallery.sortNameAsc': 'Name A–Z',
+    'gallery.sortNameDesc': 'Name Z–A',
+    'gallery.close': 'Close gallery',
+    'gallery.pages': 'Gallery pages',
+    'gallery.prev': 'Prev',
+    'gallery.next': 'Next',
+    'gallery.loading': 'Loading collection...',
+    'gallery.loadFailed': 'Could not load the collection',
+    'gallery.noResults': 'No Tangs match your search',
+    'gallery.showing': {
+      one: 'Showing {from}–{to} of {count} Tang',
+      other: 'Showing {from}–{to} of {count} Tangs'
+    },
+    'gallery.page': 'Page {page} of {pageCount}',
+    'gallery.viewDetails': 'View details for {name}',
+    'gallery.closeDetails': 'Close details',
+    'gallery.mint': 'Mint',
+    'gallery.owner': 'Owner',
+    'gallery.royalty': 'Royalty',
+    'gallery.mutable': 'Mutable',
+    'gallery.burnt': 'Burnt',
+    'gallery.noDescription': 'No description',
+    'gallery.unknown': 'Unknown',
+    'gallery.royaltyBps': '{bps} bps',
+    'common.yes': 'Yes',
+    'common.no': 'No'
+  },
+  es: {
+    'meta.name': 'Español',
+    'page.skipLink': 'Saltar al contenido principal',
+    'page.loaded': 'Página de Tang Collection cargada',
+    'page.bannerAlt': 'Dang Mang: Tangs, Hangs y Mangs',
+    'controls.theme': 'Tema',
+    'controls.language': 'Idioma',
+    'controls.auto': 'Automático',
+    'loading.label': 'Cargando la página',
+    'loading.started': 'Cargando',
+    'loading.done': 'Página cargada',
+    'loading.degraded': 'Página cargada, faltan algunas imágenes',
+    'loading.noticeTimeout': 'Esto está tardando más de lo normal, así que algunas imágenes pueden seguir cargando.',
+    'loading.noticeFailed': 'No se pudieron cargar algunas imágenes. Recargar la página puede ayudar.',
+    'loading.dismiss': 'Cerrar aviso',
+    'sound.mute': 'Silenciar los efectos de sonido',
+    'sound.unmute': 'Activar los efectos de sonido',
+    'analytics.label': 'Consentimiento de analítica',
+    'analytics.question': '¿Podemos contar clics y visitas de forma anónima para mejorar el sitio?',
+    'analytics.allow': 'Permitir',
+    'analytics.deny': 'No, gracias',
+    'meme.open': 'Abrir meme: {alt}',
+    'lightbox.close': 'Cerrar meme',
+    'lightbox.download': 'Descargar',
+    'lightbox.pin': 'Fijar',
+    'lightbox.unpin': 'Soltar',
+    'lightbox.copy': 'Copiar enlace',
+    'lightbox.share': 'Compartir en X',
+    'lightbox.shareText': '{title} - Tang Collection',
+    'lightbox.pinned': 'Fijado: se quedará en tu fondo',
+    'lightbox.unpinned': 'Ya no está fijado',
+    'lightbox.pinLimit': {
+      one: 'Solo puedes fijar {count} meme: suéltalo primero',
+      other: 'Puedes fijar hasta {count} memes: suelta uno primero'
+    },
+    'lightbox.copied': '¡Enlace copiado!',
+    'gallery.link': 'Galería',
+    'gallery.title': 'La colección',
+    'gallery.search': 'Buscar por nombre',
+    'gallery.sort': 'Ordenar',
+    'gallery.sortOrder': 'Orden de la colección',
+    'gallery.sortNameAsc': 'Nombre A–Z',
+    'gallery.sortNameDesc': 'Nombre Z–A',
+    'gallery.close': 'Cerrar galería',
+    'gallery.pages': 'Páginas de la galería',
+    'gallery.prev': 'Anterior',
+    'gallery.next': 'Siguiente',
+    'gallery.loading': 'Cargando la colección...',
+    'gallery.loadFailed': 'No se pudo cargar la colección',
+    'gallery.noResults': 'Ningún Tang coincide con tu búsqueda',
+    'gallery.showing': {
+      one: 'Mostrando {from}–{to} de {count} Tang',
+      other: 'Mostrando {from}–{to} de {count} Tangs'
+    },
+    'gallery.page': 'Página {page} de {pageCount}',
+    'gallery.viewDetails': 'Ver detalles de {name}',
+    'gallery.closeDetails': 'Cerrar detalles',
+    'gallery.mint': 'Mint',
+    'gallery.owner': 'Propietario',
+    'gallery.royalty': 'Regalías',
+    'gallery.mutable': 'Modificable',
+    'gallery.burnt': 'Quemado',
+    'gallery.noDescription': 'Sin descripción',
+    'gallery.unknown': 'Desconocido',
+    'gallery.royaltyBps': '{bps} pb',
+    'common.yes': 'Sí',
+    'common.no': 'No',
+    'buttons.token.ariaLabel': 'Visitar Tang Token en Pump.fun',
+    'buttons.nft.ariaLabel': 'Visitar los NFT de Tang en Twitter',
+    'buttons.artist.label': 'Artista',
+    'buttons.artist.ariaLabel': 'Visitar al artista 0xRadi0 en Twitter',
+    'buttons.depot.ariaLabel': 'Visitar a Mang en Meme Depot',
+    'themes.cyan': 'Cian',
+    'themes.dark': 'Oscuro'
   }
 };
 
@@ -33,6 +397,8 @@ const CONFIG = {
  * @param {Event} event - Click event
  */
 const addRippleEffect = (event) => {
+  if (motionPolicy.calm) return;
+  
   const button = event.currentTarget;
   const rect = button.getBoundingClientRect();
   const size = Math.max(rect.width, rect.height);
@@ -64,21 +430,382 @@ const addRippleEffect = (event) => {
 };
 
 /**
- * Track button clicks for analytics (placeholder)
+ * Track button clicks for analytics
  * @param {string} buttonType - Type of button clicked
  * @param {string} url - Destination URL
  */
 const trackButtonClick = (buttonType, url) => {
-  console.log(`Button clicked: ${buttonType} -> ${url}`);
+  addBreadcrumb('click', `Button ${buttonType}`, { url });
+  trackEvent('button_click', { button: buttonType, url });
+  emitTangEvent('button:click', { button: buttonType, url });
+};
+
+/**
+ * Hash a seed string into a 32-bit integer (FNV-1a)
+ * @param {string|number} seed - Seed value
+ */
+const hashSeed = (seed) => {
+  const text = String(seed);
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Create a seeded PRNG (mulberry32) with the same contract as Math.random
+ * @param {string|number} seed - Seed value; equal seeds give equal sequences
+ */
+const createSeededRandom = (seed) => {
+  let state = hashSeed(seed);
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// ===============================
+// GIF DECODING
+// ===============================
+
+/**
+ * Decode GIF LZW image data into colour-table indices
+ * @param {number} minCodeSize - LZW minimum code size from the image block
+ * @param {Uint8Array} data - Concatenated image data sub-blocks
+ * @param {number} pixelCount - Pixels in the frame (width * height)
+ */
+const decodeGifLzw = (minCodeSize, data, pixelCount) => {
+  const output = new Uint8Array(pixelCount);
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const prefix = new Int16Array(4096);
+  const suffix = new Uint8Array(4096);
+  const stack = new Uint8Array(4097);
+  for (let i = 0; i < clearCode; i++) {
+    prefix[i] = -1;
+    suffix[i] = i;
+  }
+  
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let previous = -1;
+  let first = 0;
+  let bits = 0;
+  let datum = 0;
+  let dataPos = 0;
+  let outPos = 0;
+  
+  while (outPos < pixelCount) {
+    while (bits < codeSize) {
+      if (dataPos >= data.length) return output;
+      datum |= data[dataPos++] << bits;
+      bits += 8;
+    }
+    const code = datum & ((1 << codeSize) - 1);
+    datum >>= codeSize;
+    bits -= codeSize;
+    
+    if (code === clearCode) {
+      codeSize = minCodeSize + 1;
+      nextCode = endCode + 1;
+      previous = -1;
+      continue;
+    }
+    if (code === endCode) break;
+    if (previous === -1) {
+      output[outPos++] = suffix[code];
+      previous = code;
+      first = code;
+      continue;
+    }
+    
+    // Walk the string for `code` backwards onto the stack
+    let current = code;
+    let top = 0;
+    if (code >= nextCode) {
+      stack[top++] = first; // code not in the table yet: previous string + its first byte
+      current = previous;
+    }
+    while (current >= clearCode) {
+      stack[top++] = suffix[current];
+      current = prefix[current];
+    }
+    stack[top++] = current;
+    first = current;
+    
+    if (nextCode < 4096) {
+      prefix[nextCode] = previous;
+      suffix[nextCode] = first;
+      nextCode++;
+      if (nextCode === 1 << codeSize && codeSize < 12) codeSize++;
+    }
+    
+    while (top > 0 && outPos < pixelCount) output[outPos++] = stack[--top];
+    previous = code;
+  }
+  
+  return output;
+};
+
+/**
+ * Row order of an interlaced frame (passes start at rows 0, 4, 2, 1)
+ */
+const getInterlacedRows = (height) => {
+  const rows = [];
+  [[0, 8], [4, 8], [2, 4], [1, 2]].forEach(([start, step]) => {
+    for (let row = start; row < height; row += step) rows.push(row);
+  });
+  return rows;
+};
+
+/**
+ * Small built-in GIF decoder. Returns every frame fully composited (disposal
+ * and transparency applied) as RGBA pixels, with its delay in ms.
+ * @param {ArrayBuffer} buffer - GIF file contents
+ */
+const decodeGif = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  let pos = 0;
+  
+  const readByte = () => bytes[pos++];
+  const readWord = () => {
+    const value = bytes[pos] | (bytes[pos + 1] << 8);
+    pos += 2;
+    return value;
+  };
+  const readColorTable = (entries) => {
+    const table = bytes.subarray(pos, pos + entries * 3);
+    pos += entries * 3;
+    return table;
+  };
+  const readSubBlocks = () => {
+    const chunks = [];
+    let total = 0;
+    let length;
+    while ((length = readByte())) {
+      chunks.push(bytes.subarray(pos, pos + length));
+      pos += length;
+      total += length;
+    }
+    const data = new Uint8Array(total);
+    let offset = 0;
+    chunks.forEach(chunk => {
+      data.set(chunk, offset);
+      offset += chunk.length;
+    });
+    return data;
+  };
+  
+  const signature = String.fromCharCode(...bytes.subarray(0, 6));
+  if (signature !== 'GIF87a' && signature !== 'GIF89a') {
+    throw new Error('Not a GIF file');
+  }
+  pos = 6;
+  
+  const width = readWord();
+  const height = readWord();
+  const screenFlags = readByte();
+  pos += 2; // background colour index, pixel aspect ratio
+  const globalTable = screenFlags & 0x80 ? readColorTable(2 << (screenFlags & 7)) : null;
+  
+  const pixels = new Uint8ClampedArray(width * height * 4);
+  const frames = [];
+  let control = { delay: 100, transparent: null, disposal: 0 };
+  
+  while (pos < bytes.length) {
+    const block = readByte();
+    
+    if (block === 0x3B) break; // trailer
+    
+    if (block === 0x21) {
+      const label = readByte();
+      if (label === 0xF9) {
+        readByte(); // block size
+        const packed = readByte();
+        const delay = readWord();
+        const transparentIndex = readByte();
+        readByte(); // block terminator
+        control = {
+          disposal: (packed >> 2) & 7,
+          delay: (delay || 10) * 10, // browsers treat 0 as 100ms
+          transparent: packed & 1 ? transparentIndex : null
+        };
+      } else {
+        readSubBlocks(); // comments, application data
+      }
+      continue;
+    }
+    
+    if (block !== 0x2C) {
+      throw new Error(`Unexpected GIF block 0x${block.toString(16)}`);
+    }
+    
+    const left = readWord();
+    const top = readWord();
+    const frameWidth = readWord();
+    const frameHeight = readWord();
+    const imageFlags = readByte();
+    const table = imageFlags & 0x80 ? readColorTable(2 << (imageFlags & 7)) : globalTable;
+    const rows = imageFlags & 0x40 ? getInterlacedRows(frameHeight) : null;
+    const minCodeSize = readByte();
+    const indices = decodeGifLzw(minCodeSize, readSubBlocks(), frameWidth * frameHeight);
+    if (!table) throw new Error('GIF frame has no colour table');
+    
+    const restore = control.disposal === 3 ? pixels.slice() : null;
+    
+    for (let i = 0; i < indices.length; i++) {
+      const index = indices[i];
+      if (index === control.transparent) continue;
+      const row = rows ? rows[Math.floor(i / frameWidth)] : Math.floor(i / frameWidth);
+      const x = left + (i % frameWidth);
+      const y = top + row;
+      if (x >= width || y >= height) continue;
+      const offset = (y * width + x) * 4;
+      pixels[offset] = table[index * 3];
+      pixels[offset + 1] = table[index * 3 + 1];
+      pixels[offset + 2] = table[index * 3 + 2];
+      pixels[offset + 3] = 255;
+    }
+    
+    frames.push({ pixels: pixels.slice(), delay: control.delay });
+    
+    // Disposal: 2 clears the frame's area, 3 restores what was there before
+    if (control.disposal === 2) {
+      for (let y = top; y < Math.min(top + frameHeight, height); y++) {
+        pixels.fill(0, (y * width + left) * 4, (y * width + Math.min(left + frameWidth, width)) * 4);
+      }
+    } else if (restore) {
+      pixels.set(restore);
+    }
+    control = { delay: 100, transparent: null, disposal: 0 };
+  }
+  
+  return { width, height, frames };
+};
+
+/**
+ * Decode a GIF into ImageData frames - ImageDecoder where the browser has it,
+ * the built-in decoder otherwise
+ * @param {string} url - GIF URL (usually already cached by the preloader)
+ */
+const decodeGifFrames = (url) => fetch(url)
+  .then(response => {
+    if (!response.ok) throw new Error(`${url} responded ${response.status}`);
+    return response.arrayBuffer();
+  })
+  .then(buffer => {
+    if (window.ImageDecoder) {
+      return decodeGifWithImageDecoder(buffer).catch(error => {
+        console.warn(`⚠️ ImageDecoder failed for ${url}, using built-in decoder:`, error);
+        return decodeGifBuiltIn(buffer);
+      });
+    }
+    return decodeGifBuiltIn(buffer);
+  });
+
+const decodeGifBuiltIn = (buffer) => {
+  const { width, height, frames } = decodeGif(buffer);
+  return {
+    width,
+    height,
+    frames: frames.map(frame => ({ image: new ImageData(frame.pixels, width, height), delay: frame.delay }))
+  };
+};
+
+const decodeGifWithImageDecoder = (buffer) => {
+  const decoder = new ImageDecoder({ data: buffer, type: 'image/gif' });
+  
+  return decoder.tracks.ready.then(() => {
+    const frameCount = decoder.tracks.selectedTrack.frameCount;
+    const decodes = [];
+    for (let frameIndex = 0; frameIndex < frameCount; frameIndex++) {
+      decodes.push(decoder.decode({ frameIndex }));
+    }
+    return Promise.all(decodes);
+  }).then(results => {
+    const { displayWidth: width, displayHeight: height } = results[0].image;
+    const scratch = document.createElement('canvas');
+    scratch.width = width;
+    scratch.height = height;
+    const context = scratch.getContext('2d');
+    
+    const frames = results.map(({ image }) => {
+      context.clearRect(0, 0, width, height);
+      context.drawImage(image, 0, 0);
+      const delay = image.duration ? image.duration / 1000 : 100; // microseconds
+      image.close();
+      return { image: context.getImageData(0, 0, width, height), delay };
+    });
+    
+    decoder.close();
+    return { width, height, frames };
+  });
+};
+
+/**
+ * Play decoded frames on a canvas. pause() holds the current frame and play()
+ * carries on from it.
+ */
+const createGifPlayer = (canvas, frames) => {
+  const context = canvas.getContext('2d');
+  let index = 0;
+  let timerId = null;
+  
+  const draw = () => context.putImageData(frames[index].image, 0, 0);
+  
+  const advance = () => {
+    index = (index + 1) % frames.length;
+    draw();
+    timerId = setTimeout(advance, frames[index].delay);
+  };
+  
+  const play = () => {
+    if (timerId !== null || frames.length < 2) return;
+    timerId = setTimeout(advance, frames[index].delay);
+  };
+  
+  const pause = () => {
+    clearTimeout(timerId);
+    timerId = null;
+  };
+  
+  const isPlaying = () => timerId !== null;
   
-  // In a real implementation, this would send analytics data
-  if (CONFIG.FEATURES.ANALYTICS) {
-    // gtag('event', 'click', {
-    //   event_category: 'external_link',
-    //   event_label: buttonType,
-    //   value: url
-    // });
+  draw();
+  return { play, pause, isPlaying };
+};
+
+/**
+ * Decode a button's GIF onto a canvas inside it. Until this resolves - or if
+ * decoding isn't possible - the CSS PNG/GIF swap on hover stays in charge.
+ */
+const attachGifPlayer = (button, gifUrl) => {
+  const canvas = document.createElement('canvas');
+  if (!canvas.getContext || !canvas.getContext('2d') || typeof ImageData === 'undefined') {
+    return Promise.resolve(false);
   }
+  
+  return decodeGifFrames(gifUrl)
+    .then(({ width, height, frames }) => {
+      canvas.width = width;
+      canvas.height = height;
+      canvas.className = 'btn-canvas';
+      canvas.setAttribute('aria-hidden', 'true');
+      button.appendChild(canvas);
+      button.gifPlayer = createGifPlayer(canvas, frames);
+      button.classList.add('gif-canvas');
+      return true;
+    })
+    .catch(error => {
+      console.warn(`⚠️ Could not decode ${gifUrl}, keeping the PNG/GIF swap:`, error);
+      addBreadcrumb('preload', `GIF decode failed: ${gifUrl}`);
+      return false;
+    });
 };
 
 // ===============================
@@ -86,20 +813,76 @@ const trackButtonClick = (buttonType, url) => {
 // ===============================
 
 /**
- * Simple approach: Just keep the GIF running but let it cycle naturally
- * This creates a more fluid experience than trying to capture frames
+ * Play or pause a button's animation. With decoded frames the canvas plays on
+ * hover and holds its current frame on leave; without them the .image-btn CSS
+ * swaps PNG -> GIF on hover by itself.
  */
 const handleGifTransition = (element, gifUrl, pngUrl, shouldAnimate) => {
+  if (!element.gifPlayer) return;
+  
+  // The canvas replaces the PNG from the first play onwards
+  element.classList.add('gif-started');
   if (shouldAnimate) {
-    // Switch to animated GIF
-    element.style.backgroundImage = `url('${gifUrl}')`;
+    element.gifPlayer.play();
   } else {
-    // For now, just let it continue playing the GIF instead of reverting to PNG
-    // This creates a more fluid experience
-    element.style.backgroundImage = `url('${gifUrl}')`;
+    element.gifPlayer.pause();
   }
 };
 
+/**
+ * Get the manifest entries that should be shown, sorted by order
+ */
+const getVisibleButtons = () => {
+  return BUTTON_MANIFEST
+    .filter(entry => entry.visible !== false)
+    .sort((a, b) => a.order - b.order)
+    .map(entry => ({ ...entry, ...getThemeButtonArt(entry.id) }));
+};
+
+/**
+ * Label and aria-label for a button in the current locale (catalogs can
+ * translate them as buttons.<id>.label / .ariaLabel)
+ */
+const applyButtonText = (button, entry) => {
+  button.setAttribute('aria-label', translate(`buttons.${entry.id}.ariaLabel`, {}, entry.ariaLabel));
+  const label = button.querySelector('.btn-label');
+  if (label) label.textContent = translate(`buttons.${entry.id}.label`, {}, entry.label);
+};
+
+/**
+ * Render the circular link buttons from BUTTON_MANIFEST into .links-section
+ */
+const renderLinkButtons = () => {
+  const linksSection = document.querySelector('.links-section');
+  if (!linksSection) return;
+  
+  linksSection.innerHTML = '';
+  
+  getVisibleButtons().forEach(entry => {
+    const button = document.createElement('a');
+    button.href = entry.url;
+    button.className = `circular-btn image-btn ${entry.id}-btn`;
+    button.target = '_blank';
+    button.rel = 'noopener noreferrer';
+    button.dataset.buttonId = entry.id;
+    
+    // Idle/hover art is picked up by the .image-btn rules in styles.css
+    button.style.setProperty('--btn-png', `url('${entry.png}')`);
+    button.style.setProperty('--btn-gif', `url('${entry.gif}')`);
+    
+    const icon = document.createElement('div');
+    icon.className = `btn-icon ${entry.id}-icon`;
+    
+    const label = document.createElement('span');
+    label.className = 'btn-label';
+    
+    button.appendChild(icon);
+    button.appendChild(label);
+    applyButtonText(button, entry);
+    linksSection.appendChild(button);
+  });
+};
+
 /**
  * Setup seamless button interactions with frame persistence
  */
@@ -107,41 +890,39 @@ const setupCircularButtons = () => {
   const buttons = document.querySelectorAll('.circular-btn');
   
   buttons.forEach(button => {
-    // Get button type from class name
-    const buttonType = Array.from(button.classList)
-      .find(cls => cls.endsWith('-btn'))
-      ?.replace('-btn', '') || 'unknown';
+    const buttonType = button.dataset.buttonId || 'unknown';
+    const entry = getVisibleButtons().find(item => item.id === buttonType);
     
     // Track animation state
     let isAnimating = false;
     let isPaused = false;
     
-            // Get GIF and PNG URLs based on button type
-            const getImageUrls = () => {
-              const baseMap = {
-                'token': { gif: 'token.gif', png: 'token.png' },
-                'nft': { gif: 'X.gif', png: 'X.png' },
-                'artist': { gif: 'radio.gif', png: 'radio.png' },
-                'depot': { gif: 'meme_depot.gif', png: 'meme_depot.png' }
-              };
-              return baseMap[buttonType] || { gif: null, png: null };
-            };
+    const gifUrl = entry ? entry.gif : null;
+    const pngUrl = entry ? entry.png : null;
     
-    const { gif: gifUrl, png: pngUrl } = getImageUrls();
+    if (entry) onLocaleChange(() => applyButtonText(button, entry));
     
     // Click handler
     button.addEventListener('click', (e) => {
       addRippleEffect(e);
+      playSound('click');
       trackButtonClick(buttonType, button.href);
     });
     
-    // Enhanced hover effects - keep GIF running for fluid experience
+    // Decode the GIF onto a canvas so hover can play/pause it in place,
+    // once the preloader has it in the cache
+    if (gifUrl) {
+      const preloaded = assetPreloader ? assetPreloader.whenSettled(gifUrl) : Promise.resolve();
+      preloaded.then(() => attachGifPlayer(button, gifUrl));
+    }
+    
+    // Hover plays the animation from wherever it last stopped
     button.addEventListener('mouseenter', () => {
-      if (!gifUrl) return;
+      playSound('hover');
+      if (!gifUrl || motionPolicy.calm) return;
       
       button.style.transform = `translateY(-4px) scale(${CONFIG.HOVER_SCALE})`;
       
-      // Switch to GIF (or keep it if already animating)
       if (!isAnimating) {
         handleGifTransition(button, gifUrl, pngUrl, true);
         isAnimating = true;
@@ -149,20 +930,32 @@ const setupCircularButtons = () => {
     });
     
     button.addEventListener('mouseleave', () => {
+      if (motionPolicy.calm) return;
       button.style.transform = 'translateY(0) scale(1)';
       
-      // Keep the GIF playing for fluid experience
-      // Don't revert to PNG - this eliminates the jarring transition
+      // Freeze on the current frame instead of snapping back to the PNG
       if (isAnimating && gifUrl) {
-        // Just let the GIF continue playing
-        // This creates a much smoother experience
         handleGifTransition(button, gifUrl, pngUrl, false);
+        isAnimating = false;
       }
     });
     
+    // Keyboard focus plays and pauses like hover
+    button.addEventListener('focus', () => {
+      if (!gifUrl || motionPolicy.calm || isAnimating) return;
+      handleGifTransition(button, gifUrl, pngUrl, true);
+      isAnimating = true;
+    });
+    
+    button.addEventListener('blur', () => {
+      if (!isAnimating) return;
+      handleGifTransition(button, gifUrl, pngUrl, false);
+      isAnimating = false;
+    });
+    
     // Touch feedback for mobile
     button.addEventListener('touchstart', () => {
-      if (!gifUrl) return;
+      if (!gifUrl || motionPolicy.calm) return;
       
       button.style.transform = `translateY(-2px) scale(${CONFIG.CLICK_SCALE})`;
       handleGifTransition(button, gifUrl, pngUrl, true);
@@ -171,11 +964,12 @@ const setupCircularButtons = () => {
     
     button.addEventListener('touchend', () => {
       setTimeout(() => {
+        if (motionPolicy.calm) return;
         button.style.transform = 'translateY(0) scale(1)';
         
-        // Keep GIF playing for fluid experience
         if (isAnimating && gifUrl) {
           handleGifTransition(button, gifUrl, pngUrl, false);
+          isAnimating = false;
         }
       }, 150);
     }, { passive: true });
@@ -242,901 +1036,3681 @@ const setupBackgroundEffect = () => {
 };
 
 // ===============================
-// RESPONSIVE UTILITIES
+// LOCALIZATION
 // ===============================
 
 /**
- * Handle orientation changes on mobile
+ * Attributes that can be localized from markup with data-i18n-<attribute>="key"
+ * (text content uses data-i18n="key"; data-i18n-params holds JSON placeholders)
  */
-const handleOrientationChange = () => {
-  // Slight delay to allow for proper viewport calculation
-  setTimeout(() => {
-    const vh = window.innerHeight * 0.01;
-    document.documentElement.style.setProperty('--vh', `${vh}px`);
-  }, 100);
-};
+const I18N_ATTRIBUTES = ['aria-label', 'alt', 'placeholder', 'title'];
 
 /**
- * Setup responsive event listeners
+ * The active locale, whether the visitor chose it (?lang= or the switcher),
+ * and what to re-run when it changes
  */
-const setupResponsiveEvents = () => {
-  // Handle orientation changes
-  window.addEventListener('orientationchange', handleOrientationChange);
-  window.addEventListener('resize', handleOrientationChange);
-  
-  // Initial calculation
-  handleOrientationChange();
+const i18nState = {
+  locale: CONFIG.I18N.DEFAULT_LOCALE,
+  overridden: false,
+  listeners: [],
+  missing: new Set() // Keys already warned about
 };
 
-// ===============================
-// ACCESSIBILITY ENHANCEMENTS
-// ===============================
+/**
+ * Closest catalog for a language tag: exact ('es-MX'), then base language ('es')
+ */
+const matchLocale = (tag) => {
+  if (typeof tag !== 'string' || tag === '') return null;
+  if (MESSAGES[tag]) return tag;
+  const base = tag.toLowerCase().split('-')[0];
+  return MESSAGES[base] ? base : null;
+};
 
 /**
- * Setup accessibility features
+ * Locale from the browser's preferred languages, in order
  */
-const setupAccessibility = () => {
-  // Add skip link for screen readers
-  const skipLink = document.createElement('a');
-  skipLink.href = '#main-content';
-  skipLink.textContent = 'Skip to main content';
-  skipLink.className = 'skip-link';
-  skipLink.style.cssText = `
-    position: absolute;
-    top: -100px;
-    left: 6px;
-    background: var(--primary-text);
-    color: var(--primary-bg);
-    padding: 8px;
-    text-decoration: none;
-    border-radius: 4px;
-    z-index: 1000;
-    transition: top 0.3s;
-    opacity: 0;
-    pointer-events: none;
-  `;
-  
-  skipLink.addEventListener('focus', () => {
-    skipLink.style.top = '6px';
-    skipLink.style.opacity = '1';
-    skipLink.style.pointerEvents = 'all';
-  });
-  
-  skipLink.addEventListener('blur', () => {
-    skipLink.style.top = '-100px';
-    skipLink.style.opacity = '0';
-    skipLink.style.pointerEvents = 'none';
-  });
-  
-  document.body.insertBefore(skipLink, document.body.firstChild);
-  
-  // Add main content id
-  const mainContainer = document.querySelector('.main-container');
-  if (mainContainer) {
-    mainContainer.id = 'main-content';
+const detectLocale = () => {
+  const preferred = navigator.languages && navigator.languages.length > 0
+    ? navigator.languages
+    : [navigator.language];
+  for (const tag of preferred) {
+    const locale = matchLocale(tag);
+    if (locale) return locale;
   }
-  
-  // Announce page load to screen readers
-  const announcement = document.createElement('div');
-  announcement.setAttribute('aria-live', 'polite');
-  announcement.setAttribute('aria-atomic', 'true');
-  announcement.className = 'sr-only';
-  announcement.textContent = 'Tang Collection page loaded';
-  document.body.appendChild(announcement);
+  return CONFIG.I18N.DEFAULT_LOCALE;
 };
 
-// ===============================
-// RANDOM NFT BACKGROUND SYSTEM
-// ===============================
+const getSavedLocale = () => {
+  try {
+    return localStorage.getItem(CONFIG.I18N.STORAGE_KEY);
+  } catch (error) {
+    return null;
+  }
+};
+
+const saveLocale = (locale) => {
+  try {
+    if (locale) {
+      localStorage.setItem(CONFIG.I18N.STORAGE_KEY, locale);
+    } else {
+      localStorage.removeItem(CONFIG.I18N.STORAGE_KEY);
+    }
+  } catch (error) {
+    console.warn('⚠️ Could not save the language:', error);
+  }
+};
 
 /**
- * Generate list of meme image filenames from the memes folder
- * Uses all meme images from your collection (image00001.png to image00082.png)
+ * Pick the locale: ?lang=, then the saved choice, then navigator.languages
  */
-const generateNFTFilenames = () => {
-  // Generate all meme filenames from image00001.png to image00082.png
-  const memeFilenames = [];
-  for (let i = 1; i <= 82; i++) {
-    const filename = `image${String(i).padStart(5, '0')}.png`;
-    memeFilenames.push(filename);
-  }
+const resolveLocale = () => {
+  const fromUrl = new URLSearchParams(window.location.search).get('lang');
+  if (fromUrl && matchLocale(fromUrl)) return { locale: matchLocale(fromUrl), overridden: true };
+  if (fromUrl) console.warn(`⚠️ No messages for "${fromUrl}", expected one of: ${Object.keys(MESSAGES).join(', ')}`);
   
-  return memeFilenames;
+  const saved = matchLocale(getSavedLocale());
+  if (saved) return { locale: saved, overridden: true };
+  
+  return { locale: detectLocale(), overridden: false };
 };
 
 /**
- * Track active NFT positions to prevent overlap
+ * Plural category for a count in the active locale ('one', 'other', ...)
  */
-const activeNFTPositions = [];
+const getPluralCategory = (count) => {
+  if (typeof Intl !== 'undefined' && Intl.PluralRules) {
+    return new Intl.PluralRules(i18nState.locale).select(count);
+  }
+  return count === 1 ? 'one' : 'other';
+};
 
 /**
- * Track currently visible NFT images to prevent duplicates
+ * Fill {placeholders}; numbers are formatted for the locale
  */
-const activeNFTImages = new Set();
+const interpolate = (message, params) => message.replace(/\{(\w+)\}/g, (match, name) => {
+  if (!(name in params)) return match;
+  const value = params[name];
+  return typeof value === 'number' ? value.toLocaleString(i18nState.locale) : String(value);
+});
 
 /**
- * Check if a position overlaps with existing NFTs (improved collision detection)
+ * Look up a message in the active locale, then the default locale, then
+ * `fallback` (or the key itself). Plural messages pick their form by params.count.
+ * @param {string} key - Message id, e.g. 'gallery.title'
+ * @param {Object} [params] - Placeholder values
+ * @param {string} [fallback] - Used when no catalog has the key
  */
-const checkCollision = (newPos, newSize, buffer = 120) => {
-  return activeNFTPositions.some(pos => {
-    // Calculate actual element boundaries
-    const element1 = {
-      left: newPos.x - newSize / 2,
-      right: newPos.x + newSize / 2,
-      top: newPos.y - newSize / 2,
-      bottom: newPos.y + newSize / 2
-    };
-    
-    const element2 = {
-      left: pos.x - pos.size / 2,
-      right: pos.x + pos.size / 2,
-      top: pos.y - pos.size / 2,
-      bottom: pos.y + pos.size / 2
-    };
-    
-    // Check for rectangular overlap with generous buffer
-    const horizontalOverlap = (element1.left - buffer) < (element2.right + buffer) && 
-                             (element1.right + buffer) > (element2.left - buffer);
-    const verticalOverlap = (element1.top - buffer) < (element2.bottom + buffer) && 
-                           (element1.bottom + buffer) > (element2.top - buffer);
-    
-    return horizontalOverlap && verticalOverlap;
-  });
+const translate = (key, params = {}, fallback) => {
+  const catalogs = [MESSAGES[i18nState.locale], MESSAGES[CONFIG.I18N.DEFAULT_LOCALE]];
+  let message = catalogs.map(catalog => catalog && catalog[key]).find(value => value !== undefined);
+  
+  if (message === undefined) {
+    if (fallback !== undefined) return interpolate(fallback, params);
+    if (!i18nState.missing.has(key)) {
+      i18nState.missing.add(key);
+      console.warn(`⚠️ Missing message "${key}"`);
+    }
+    return key;
+  }
+  
+  if (typeof message === 'object') {
+    message = message[getPluralCategory(params.count)] || message.other;
+  }
+  return interpolate(message, params);
 };
 
 /**
- * Check if position overlaps with main content area (title, subtitle, buttons)
+ * Text from the manifest that is either a plain string or { locale: string }
  */
-const isInMainContentArea = (x, y, elementSize) => {
-  const viewportWidth = window.innerWidth;
-  const viewportHeight = window.innerHeight;
-  
-  // Define protected main content zone - much larger and more conservative
-  let contentZone;
-  
-  if (viewportWidth <= 768) {
-    // Mobile: protect almost all of the center area
-    contentZone = {
-      x: viewportWidth * 0.05,
-      y: viewportHeight * 0.15,
-      width: viewportWidth * 0.9,
-      height: viewportHeight * 0.7
-    };
-  } else {
-    // Desktop: protect much more of the center area
-    contentZone = {
-      x: viewportWidth * 0.15,
-      y: viewportHeight * 0.05,
-      width: viewportWidth * 0.7,
-      height: viewportHeight * 0.9
-    };
+const localizeText = (value) => {
+  if (typeof value === 'string') return value;
+  if (!value || typeof value !== 'object') return '';
+  return value[i18nState.locale] || value[CONFIG.I18N.DEFAULT_LOCALE] || Object.values(value)[0] || '';
+};
+
+/**
+ * Bind an element's text (attribute null) or an attribute to a message, so
+ * it follows locale changes
+ */
+const localize = (element, key, params = null, attribute = null) => {
+  element.setAttribute(attribute ? `data-i18n-${attribute}` : 'data-i18n', key);
+  if (params) element.setAttribute('data-i18n-params', JSON.stringify(params));
+  translateElement(element);
+};
+
+/**
+ * Apply an element's data-i18n bindings
+ */
+const translateElement = (element) => {
+  let params = {};
+  try {
+    params = JSON.parse(element.getAttribute('data-i18n-params') || '{}');
+  } catch (error) {
+    console.warn('⚠️ Bad data-i18n-params:', element);
   }
   
-  // Check if NFT would overlap with content area (including element size)
-  const nftRight = x + elementSize;
-  const nftBottom = y + elementSize;
-  const contentRight = contentZone.x + contentZone.width;
-  const contentBottom = contentZone.y + contentZone.height;
-  
-  const overlapsHorizontally = x < contentRight && nftRight > contentZone.x;
-  const overlapsVertically = y < contentBottom && nftBottom > contentZone.y;
-  
-  return overlapsHorizontally && overlapsVertically;
+  const textKey = element.getAttribute('data-i18n');
+  if (textKey) element.textContent = translate(textKey, params);
+  I18N_ATTRIBUTES.forEach(attribute => {
+    const key = element.getAttribute(`data-i18n-${attribute}`);
+    if (key) element.setAttribute(attribute, translate(key, params));
+  });
 };
 
 /**
- * Check if a position is too close to existing NFTs (anti-clustering)
+ * Apply every data-i18n binding under root
  */
-const isTooCloseToExisting = (x, y, elementSize, minDistance = 150) => {
-  return activeNFTPositions.some(pos => {
-    const distance = Math.sqrt(Math.pow(x - pos.x, 2) + Math.pow(y - pos.y, 2));
-    return distance < minDistance;
-  });
+const translatePage = (root = document) => {
+  const selector = ['[data-i18n]'].concat(I18N_ATTRIBUTES.map(attribute => `[data-i18n-${attribute}]`)).join(', ');
+  root.querySelectorAll(selector).forEach(translateElement);
+};
+
+/**
+ * Run callback whenever the locale changes (for text that isn't a plain binding);
+ * returns a function that removes it
+ */
+const onLocaleChange = (callback) => {
+  i18nState.listeners.push(callback);
+  return () => {
+    const index = i18nState.listeners.indexOf(callback);
+    if (index > -1) i18nState.listeners.splice(index, 1);
+  };
 };
 
 /**
- * Find a safe position that doesn't overlap with existing NFTs or main content
+ * Switch locale without a reload: <html lang>, bindings, then the listeners
  */
-const findSafePosition = (elementSize) => {
-  const viewportWidth = window.innerWidth;
-  const viewportHeight = window.innerHeight;
-  const maxAttempts = 50; // Increased attempts for better distribution
+const setLocale = (locale) => {
+  if (!MESSAGES[locale]) return false;
   
-  for (let attempt = 0; attempt < maxAttempts; attempt++) {
-    // Avoid corners by biasing towards center
-    const randX = Math.pow(Math.random(), 1.2); // bias away from 0
-    const randY = Math.pow(Math.random(), 1.2);
-    const x = randX * (viewportWidth - elementSize - 60) + 30;
-    const y = randY * (viewportHeight - elementSize - 60) + 30;
-    
-    // Check if position is in main content area
-    if (isInMainContentArea(x, y, elementSize)) {
-      continue;
-    }
-    
-    // Check if too close to existing NFTs (anti-clustering)
-    if (isTooCloseToExisting(x + elementSize / 2, y + elementSize / 2, elementSize)) {
-      continue;
-    }
-    
-    // Check for collisions with existing NFTs
-    const position = { x: x + elementSize / 2, y: y + elementSize / 2, size: elementSize };
-    
-    if (!checkCollision(position, elementSize)) {
-      activeNFTPositions.push(position);
-      return { x, y, position };
+  i18nState.locale = locale;
+  document.documentElement.lang = locale;
+  translatePage();
+  i18nState.listeners.forEach(callback => {
+    try {
+      callback(locale);
+    } catch (error) {
+      reportError(error, { type: 'i18n', locale });
     }
+  });
+  return true;
+};
+
+/**
+ * Fixed corner holding the theme and language switchers
+ */
+const getPageControls = () => {
+  let controls = document.querySelector('.page-controls');
+  if (!controls) {
+    controls = document.createElement('div');
+    controls.className = 'page-controls';
+    document.body.appendChild(controls);
   }
+  return controls;
+};
+
+/**
+ * Language switcher: "Auto" follows navigator.languages, anything else is saved
+ */
+const createLanguageSwitcher = () => {
+  const switcher = document.createElement('label');
+  switcher.className = 'language-switcher';
   
-  // If no safe position found, use edge zones only with more spacing
-  const edgeZones = [];
-  const buffer = 80; // Increased buffer to prevent clustering
-  
-  // Top edge (avoiding center)
-  if (viewportHeight > 200) {
-    edgeZones.push({
-      x: buffer,
-      y: buffer,
-      width: viewportWidth * 0.15,
-      height: 100
-    });
-    edgeZones.push({
-      x: viewportWidth * 0.85,
-      y: buffer,
-      width: viewportWidth * 0.15 - buffer,
-      height: 100
-    });
-  }
+  const text = document.createElement('span');
+  text.className = 'sr-only';
+  localize(text, 'controls.language');
   
-  // Bottom edge (avoiding center)
-  if (viewportHeight > 300) {
-    edgeZones.push({
-      x: buffer,
-      y: viewportHeight - 120,
-      width: viewportWidth * 0.15,
-      height: 100
-    });
-    edgeZones.push({
-      x: viewportWidth * 0.85,
-      y: viewportHeight - 120,
-      width: viewportWidth * 0.15 - buffer,
-      height: 100
-    });
-  }
+  const select = document.createElement('select');
+  const auto = new Option('', 'auto');
+  localize(auto, 'controls.auto');
+  select.appendChild(auto);
+  // Each language is listed under its own name
+  Object.keys(MESSAGES).forEach(locale => {
+    const option = new Option(MESSAGES[locale]['meta.name'] || locale, locale);
+    option.lang = locale;
+    select.appendChild(option);
+  });
+  select.value = i18nState.overridden ? i18nState.locale : 'auto';
   
-  // Left edge
-  edgeZones.push({
-    x: buffer,
-    y: viewportHeight * 0.2,
-    width: 100,
-    height: viewportHeight * 0.6
+  select.addEventListener('change', () => {
+    const followBrowser = select.value === 'auto';
+    i18nState.overridden = !followBrowser;
+    saveLocale(followBrowser ? null : select.value);
+    setLocale(followBrowser ? detectLocale() : select.value);
+    trackEvent('locale_change', { locale: i18nState.locale, auto: followBrowser });
   });
   
-  // Right edge  
-  edgeZones.push({
-    x: viewportWidth - 120,
-    y: viewportHeight * 0.2,
-    width: 100,
-    height: viewportHeight * 0.6
+  switcher.appendChild(text);
+  switcher.appendChild(select);
+  return switcher;
+};
+
+/**
+ * Pick the starting locale, translate the markup and add the switcher
+ */
+const setupI18n = () => {
+  const { locale, overridden } = resolveLocale();
+  i18nState.overridden = overridden;
+  setLocale(locale);
+  
+  // The browser's language list can change while the page is open
+  window.addEventListener('languagechange', () => {
+    if (!i18nState.overridden) setLocale(detectLocale());
   });
   
-  // Try to place in edge zones
-  if (edgeZones.length > 0) {
-    const randomZone = edgeZones[Math.floor(Math.random() * edgeZones.length)];
-    const x = randomZone.x + Math.random() * (randomZone.width - elementSize);
-    const y = randomZone.y + Math.random() * (randomZone.height - elementSize);
-    
-    const fallbackPos = { x: x + elementSize / 2, y: y + elementSize / 2, size: elementSize };
-    activeNFTPositions.push(fallbackPos);
-    
-    return { x, y, position: fallbackPos };
+  getPageControls().appendChild(createLanguageSwitcher());
+  console.log(`🌐 Locale: ${locale}${overridden ? '' : ' (from the browser)'}`);
+};
+
+// ===============================
+// THEMING
+// ===============================
+
+/**
+ * The applied theme, whether the visitor chose it (?theme= or the switcher)
+ * rather than following the OS, and the custom properties it set
+ */
+const themeState = {
+  name: null,
+  overridden: false,
+  properties: []
+};
+
+/**
+ * Theme matching the OS color scheme
+ */
+const getSystemTheme = () => {
+  const prefersDark = window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches;
+  return prefersDark ? CONFIG.THEME.DARK : CONFIG.THEME.DEFAULT;
+};
+
+const getSavedTheme = () => {
+  try {
+    return localStorage.getItem(CONFIG.THEME.STORAGE_KEY);
+  } catch (error) {
+    return null;
   }
+};
+
+const saveTheme = (name) => {
+  try {
+    if (name) {
+      localStorage.setItem(CONFIG.THEME.STORAGE_KEY, name);
+    } else {
+      localStorage.removeItem(CONFIG.THEME.STORAGE_KEY);
+    }
+  } catch (error) {
+    console.warn('⚠️ Could not save the theme:', error);
+  }
+};
+
+/**
+ * Pick the theme: ?theme=, then the saved choice, then the OS color scheme
+ */
+const resolveTheme = () => {
+  const fromUrl = new URLSearchParams(window.location.search).get('theme');
+  if (fromUrl && THEMES[fromUrl]) return { name: fromUrl, overridden: true };
+  if (fromUrl) console.warn(`⚠️ Unknown theme "${fromUrl}", expected one of: ${Object.keys(THEMES).join(', ')}`);
   
-  // Ultimate fallback - far corners only
-  const farCorners = [
-    { x: 10, y: 10 },
-    { x: viewportWidth - elementSize - 10, y: 10 },
-    { x: 10, y: viewportHeight - elementSize - 10 },
-    { x: viewportWidth - elementSize - 10, y: viewportHeight - elementSize - 10 }
-  ];
-  
-  const randomCorner = farCorners[Math.floor(Math.random() * farCorners.length)];
-  const ultimateFallback = { x: randomCorner.x + elementSize / 2, y: randomCorner.y + elementSize / 2, size: elementSize };
-  activeNFTPositions.push(ultimateFallback);
+  const saved = getSavedTheme();
+  if (saved && THEMES[saved]) return { name: saved, overridden: true };
   
-  return { x: randomCorner.x, y: randomCorner.y, position: ultimateFallback };
+  return { name: getSystemTheme(), overridden: false };
+};
+
+/**
+ * Button art the current theme swaps in, if any ({ png, gif } or {})
+ */
+const getThemeButtonArt = (buttonId) => {
+  const theme = THEMES[themeState.name];
+  return (theme && theme.buttons && theme.buttons[buttonId]) || {};
 };
 
 /**
- * Get available NFT filenames that aren't currently displayed
+ * Point the rendered buttons at the current theme's art, re-decoding any GIF
+ * that changed
  */
-const getAvailableNFTFilenames = () => {
-  const allFilenames = generateNFTFilenames();
-  return allFilenames.filter(filename => !activeNFTImages.has(filename));
+const updateButtonArt = () => {
+  getVisibleButtons().forEach(entry => {
+    const button = document.querySelector(`.circular-btn[data-button-id="${entry.id}"]`);
+    if (!button) return;
+    
+    const gifChanged = button.style.getPropertyValue('--btn-gif') !== `url('${entry.gif}')`;
+    button.style.setProperty('--btn-png', `url('${entry.png}')`);
+    button.style.setProperty('--btn-gif', `url('${entry.gif}')`);
+    if (!gifChanged || !button.gifPlayer) return;
+    
+    button.gifPlayer.pause();
+    button.gifPlayer = null;
+    const canvas = button.querySelector('.btn-canvas');
+    if (canvas) canvas.remove();
+    button.classList.remove('gif-canvas', 'gif-started');
+    attachGifPlayer(button, entry.gif);
+  });
 };
 
 /**
- * Create a random NFT background element with collision and duplicate detection
+ * Apply a theme from THEMES: its custom properties, color scheme, meme
+ * opacity, header and button art
  */
-const createRandomNFTElement = () => {
-  const availableFilenames = getAvailableNFTFilenames();
+const applyTheme = (name) => {
+  const theme = THEMES[name];
+  if (!theme) return false;
   
-  // If no unique images available, wait for some to disappear
-  if (availableFilenames.length === 0) {
-    console.log('🎨 All NFT images currently displayed, waiting for variety...');
-    return null;
+  const root = document.documentElement;
+  const properties = { ...theme.properties };
+  if (typeof theme.memeOpacity === 'number') properties['--meme-opacity'] = String(theme.memeOpacity);
+  
+  themeState.properties.forEach(property => root.style.removeProperty(property));
+  Object.entries(properties).forEach(([property, value]) => root.style.setProperty(property, value));
+  root.style.setProperty('color-scheme', theme.scheme || 'light');
+  root.dataset.theme = name;
+  themeState.properties = Object.keys(properties);
+  themeState.name = name;
+  
+  const banner = document.querySelector('.brand-banner');
+  if (banner) {
+    if (!banner.dataset.defaultSrc) banner.dataset.defaultSrc = banner.getAttribute('src');
+    const src = theme.header || banner.dataset.defaultSrc;
+    if (banner.getAttribute('src') !== src) banner.setAttribute('src', src);
   }
   
-  const randomFilename = availableFilenames[Math.floor(Math.random() * availableFilenames.length)];
+  updateButtonArt();
+  return true;
+};
+
+/**
+ * Theme switcher: "Auto" follows the OS, anything else is saved
+ */
+const createThemeSwitcher = () => {
+  const switcher = document.createElement('label');
+  switcher.className = 'theme-switcher';
   
-  // Add to active images set immediately to prevent duplicates
-  activeNFTImages.add(randomFilename);
+  const text = document.createElement('span');
+  text.className = 'sr-only';
+  localize(text, 'controls.theme');
   
-  // Create container element
-  const element = document.createElement('div');
-  element.className = 'random-nft-bg fade-in';
-  // Track creation timestamp for minimum lifetime enforcement
-  element.createdAt = Date.now();
+  const select = document.createElement('select');
+  const auto = new Option('', 'auto');
+  localize(auto, 'controls.auto');
+  select.appendChild(auto);
+  Object.entries(THEMES).forEach(([name, theme]) => {
+    const option = new Option(translate(`themes.${name}`, {}, theme.label), name);
+    select.appendChild(option);
+  });
+  select.value = themeState.overridden ? themeState.name : 'auto';
   
-  // Add random size class with weighted distribution (more small/medium)
-  const sizeWeights = ['size-small', 'size-small', 'size-medium', 'size-medium', 'size-large'];
-  const randomSize = sizeWeights[Math.floor(Math.random() * sizeWeights.length)];
-  element.classList.add(randomSize);
+  onLocaleChange(() => {
+    Array.from(select.options).forEach(option => {
+      if (THEMES[option.value]) option.textContent = translate(`themes.${option.value}`, {}, THEMES[option.value].label);
+    });
+  });
   
-  // Determine actual size for collision detection
-  const sizeMap = {
-    'size-small': window.innerWidth <= 768 ? 60 : 80,
-    'size-medium': window.innerWidth <= 768 ? 80 : 120,
-    'size-large': window.innerWidth <= 768 ? 100 : 160
-  };
-  const elementSize = sizeMap[randomSize];
+  select.addEventListener('change', () => {
+    const followSystem = select.value === 'auto';
+    themeState.overridden = !followSystem;
+    saveTheme(followSystem ? null : select.value);
+    applyTheme(followSystem ? getSystemTheme() : select.value);
+    trackEvent('theme_change', { theme: themeState.name, auto: followSystem });
+  });
   
-  // Add floating animation (70% chance for more movement)
-  if (Math.random() > 0.3) {
-    element.classList.add('floating');
+  switcher.appendChild(text);
+  switcher.appendChild(select);
+  return switcher;
+};
+
+/**
+ * Apply the starting theme, follow live OS dark-mode changes (unless the
+ * visitor picked a theme) and add the switcher
+ */
+const setupTheme = () => {
+  const { name, overridden } = resolveTheme();
+  themeState.overridden = overridden;
+  applyTheme(name);
+  
+  if (window.matchMedia) {
+    const query = window.matchMedia('(prefers-color-scheme: dark)');
+    const onChange = () => {
+      if (!themeState.overridden) applyTheme(getSystemTheme());
+    };
+    
+    if (query.addEventListener) {
+      query.addEventListener('change', onChange);
+    } else if (query.addListener) {
+      query.addListener(onChange); // Older Safari
+    }
   }
   
-  // Create image element
-  const img = document.createElement('img');
-  img.src = `memes/${randomFilename}`;
-  img.alt = 'Random Meme from Tang Collection';
-  img.loading = 'lazy';
+  getPageControls().appendChild(createThemeSwitcher());
+  console.log(`🎨 Theme: ${name}${overridden ? '' : ' (following the OS)'}`);
+};
+
+// ===============================
+// SOUND EFFECTS
+// ===============================
+
+/**
+ * Create the Web Audio sound engine. Cues are synthesized from CONFIG.SOUND.CUES,
+ * so there are no audio files to fetch. Browsers only allow audio after a user
+ * gesture, so the AudioContext is created in unlock() - until then play() is a no-op.
+ */
+const createSoundEngine = ({ config = CONFIG.SOUND } = {}) => {
+  let context = null;
+  let master = null;
+  let volume = Math.min(1, Math.max(0, config.VOLUME));
+  let muted = false;
   
-  // Handle image load error gracefully
-  img.onerror = () => {
-    console.warn(`Failed to load meme image: ${randomFilename}`);
-    // Remove from active images set
-    activeNFTImages.delete(randomFilename);
-    element.remove();
-  };
+  try {
+    muted = localStorage.getItem(config.STORAGE_KEY) === 'true';
+  } catch (error) {
+    // Storage blocked - start unmuted
+  }
   
-  element.appendChild(img);
+  const applyGain = () => {
+    if (master) master.gain.value = muted ? 0 : volume;
+  };
   
-  // Find safe position without overlaps
-  const { x, y, position } = findSafePosition(elementSize);
+  const unlock = () => {
+    if (context) {
+      if (context.state === 'suspended') context.resume();
+      return;
+    }
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) {
+      console.warn('⚠️ Web Audio not supported, sound effects disabled');
+      return;
+    }
+    context = new AudioContextClass();
+    master = context.createGain();
+    master.connect(context.destination);
+    applyGain();
+    console.log('🔊 Audio unlocked');
+  };
   
-  element.style.left = `${x}px`;
-  element.style.top = `${y}px`;
+  // Each cue is one oscillator with a short attack/decay envelope
+  const play = (name) => {
+    const cue = config.CUES[name];
+    if (!cue || !context || muted || context.state !== 'running') return;
+    
+    const now = context.currentTime;
+    const oscillator = context.createOscillator();
+    const envelope = context.createGain();
+    
+    oscillator.type = cue.wave;
+    oscillator.frequency.setValueAtTime(cue.frequency, now);
+    if (cue.endFrequency) {
+      oscillator.frequency.exponentialRampToValueAtTime(cue.endFrequency, now + cue.duration);
+    }
+    envelope.gain.setValueAtTime(0.0001, now);
+    envelope.gain.exponentialRampToValueAtTime(cue.gain, now + 0.01);
+    envelope.gain.exponentialRampToValueAtTime(0.0001, now + cue.duration);
+    
+    oscillator.connect(envelope);
+    envelope.connect(master);
+    oscillator.start(now);
+    oscillator.stop(now + cue.duration + 0.05);
+  };
   
-  // Store references for cleanup
-  element.positionRef = position;
-  element.imageFilename = randomFilename;
-  element.elementSize = elementSize;
+  const setMuted = (value) => {
+    muted = Boolean(value);
+    applyGain();
+    try {
+      localStorage.setItem(config.STORAGE_KEY, String(muted));
+    } catch (error) {
+      // Storage blocked - the setting just won't persist
+    }
+  };
   
-  // No animation delay to prevent flashing
-  element.style.animationDelay = '0s';
+  const setVolume = (value) => {
+    volume = Math.min(1, Math.max(0, value));
+    applyGain();
+  };
   
-  // Let the CSS animation handle the transition completely
-  // No manual visibility toggle to prevent conflicts
+  const isMuted = () => muted;
   
-  return element;
+  return { unlock, play, setMuted, setVolume, isMuted };
 };
 
 /**
- * Remove NFT element with ultra smooth animation and complete cleanup
+ * The page's sound engine (null while CONFIG.FEATURES.SOUND_EFFECTS is off)
  */
-const removeNFTElement = (element) => {
-  if (!element || !element.parentNode) return;
+let soundEngine = null;
 
-  // Enforce minimum visible lifetime
-  const now = Date.now();
-  const createdAt = element.createdAt || now;
-  const elapsed = now - createdAt;
-  if (elapsed < CONFIG.MIN_VISIBLE_MS) {
-    const delay = CONFIG.MIN_VISIBLE_MS - elapsed;
-    setTimeout(() => removeNFTElement(element), delay + 50);
-    return;
-  }
-  
-  // Very long and dramatic fade out animation - 15 seconds
-  element.classList.remove('fade-in');
-  element.classList.add('fade-out');
-  element.style.animation = 'simpleSmoothFadeOut 15s ease-out forwards';
-  
-  // Wait for the full 15-second dramatic animation to complete
-  setTimeout(() => {
-    if (element.parentNode) {
-      // Clean up position tracking only after element is removed from view
-      if (element.positionRef) {
-        const index = activeNFTPositions.indexOf(element.positionRef);
-        if (index > -1) {
-          activeNFTPositions.splice(index, 1);
-        }
-      }
-      // Clean up image tracking to allow reuse
-      if (element.imageFilename) {
-        activeNFTImages.delete(element.imageFilename);
-      }
-      element.remove();
-    }
-  }, 15000);
+/**
+ * Play a named cue; silent when sound effects are off, muted or not yet unlocked
+ */
+const playSound = (name) => {
+  if (soundEngine) soundEngine.play(name);
 };
 
 /**
- * Add random NFT background elements with increased frequency and count
+ * Sync the mute toggle's icon and label with the engine
  */
-const addRandomNFTBackgrounds = () => {
-  const minElements = 4; // Keep at least 4
-  const targetElements = 4; // Aim for 4 most of the time
-  const maxElements = 5; // Hard cap at 5
-  const currentElements = document.querySelectorAll('.random-nft-bg:not(.fade-out)').length; // count only active
+const updateSoundToggle = (toggle) => {
+  const muted = soundEngine.isMuted();
+  toggle.textContent = muted ? '🔇' : '🔊';
+  toggle.setAttribute('aria-pressed', String(muted));
+  localize(toggle, muted ? 'sound.unmute' : 'sound.mute', null, 'aria-label');
+};
+
+/**
+ * Start the sound engine and render the mute toggle - only when the feature flag is on
+ */
+const setupSoundEffects = () => {
+  if (!CONFIG.FEATURES.SOUND_EFFECTS) return;
   
-  console.log(`🎨 Current NFTs: ${currentElements}, Target: ${targetElements}, Max: ${maxElements}`);
+  soundEngine = createSoundEngine();
   
-  if (currentElements >= maxElements) {
-    return; // Strict cap: never exceed 5
-  }
+  // Unlock on the first gesture (capture, so it runs before any handler that plays a cue)
+  const gestures = ['pointerdown', 'keydown', 'touchstart'];
+  const unlockOnce = () => {
+    soundEngine.unlock();
+    gestures.forEach(type => document.removeEventListener(type, unlockOnce, true));
+  };
+  gestures.forEach(type => document.addEventListener(type, unlockOnce, true));
   
-  // Calculate how many to add based on current count and targets
-  let elementsToAdd;
-  if (currentElements < minElements) {
-    // Urgently add to reach minimum
-    elementsToAdd = minElements - currentElements;
-    console.log(`🎨 Below minimum! Adding ${elementsToAdd} NFTs urgently`);
-  } else if (currentElements < targetElements) {
-    // Add towards target
-    elementsToAdd = targetElements - currentElements;
-    console.log(`🎨 Below target, adding ${elementsToAdd} NFTs`);
-  } else {
-    elementsToAdd = 0; // No bonus adds to avoid spikes
-  }
+  const toggle = document.createElement('button');
+  toggle.type = 'button';
+  toggle.className = 'sound-toggle';
+  updateSoundToggle(toggle);
+  toggle.addEventListener('click', () => {
+    soundEngine.setMuted(!soundEngine.isMuted());
+    updateSoundToggle(toggle);
+    playSound('click');
+  });
+  document.body.appendChild(toggle);
   
-  // Add multiple NFTs more quickly for higher frequency
-  for (let i = 0; i < elementsToAdd && currentElements + i < maxElements; i++) {
-    setTimeout(() => {
-      const element = createRandomNFTElement();
-      
-      // Only proceed if we got a valid unique element
-      if (element) {
-        document.body.appendChild(element);
-        const newCount = document.querySelectorAll('.random-nft-bg:not(.fade-out)').length;
-        console.log(`🎨 Added NFT background (${newCount}/${maxElements})`);
-        
-        // Reduced lifetime for faster natural turnover
-        const baseLifetime = 20000; // 20 seconds base (reduced for faster turnover)
-        const variableLifetime = Math.random() * 25000; // +0-25 seconds
-        const lifetime = baseLifetime + variableLifetime; // 20-45 seconds
-        
-        setTimeout(() => {
-          // Chain removal then optional add to maintain cap
-          const currentCount = document.querySelectorAll('.random-nft-bg:not(.fade-out)').length;
-          if (currentCount > minElements) {
-            removeNFTElement(element);
-          } else {
-            setTimeout(() => removeNFTElement(element), 12000);
-          }
-        }, lifetime);
-      } else {
-        console.log('🎨 No unique NFT available, waiting for variety...');
-      }
-      
-      }, i * 1200); // Slower stagger time for calmer appearance (doubled from 600ms)
-  }
+  console.log(`🔊 Sound effects ready (${soundEngine.isMuted() ? 'muted' : 'on'})`);
 };
 
+// ===============================
+// REPORTING TRANSPORTS
+// ===============================
+
 /**
- * Monitor and maintain minimum NFT count
+ * Transport adapters shared by analytics and error reporting. Each one has
+ * `send(payload)`, which returns a promise that rejects when the payload didn't
+ * make it, and `beacon(payload)`, which hands it off synchronously while the
+ * page unloads and returns whether it was accepted.
  */
-const maintainMinimumNFTs = () => {
-  const minElements = 4; // Updated to match new minimum
-  const currentElements = document.querySelectorAll('.random-nft-bg').length;
-  
-  if (currentElements < minElements) {
-    console.log(`🎨 Maintenance check: Only ${currentElements} NFTs, adding more to reach minimum`);
-    addRandomNFTBackgrounds();
+const createConsoleTransport = (label) => ({
+  send: (payload) => {
+    console.log(`📡 ${label}`, payload);
+    return Promise.resolve();
+  },
+  beacon: (payload) => {
+    console.log(`📡 ${label} (beacon)`, payload);
+    return true;
+  }
+});
+
+/**
+ * POST payloads as JSON to an endpoint. Sent as text/plain so cross-origin
+ * requests and beacons need no CORS preflight.
+ */
+const createHttpTransport = (endpoint) => ({
+  send: (payload) => fetch(endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'text/plain;charset=UTF-8' },
+    body: JSON.stringify(payload),
+    keepalive: true
+  }).then(response => {
+    if (!response.ok) throw new Error(`Endpoint responded ${response.status}`);
+  }),
+  beacon: (payload) => Boolean(navigator.sendBeacon) &&
+    navigator.sendBeacon(endpoint, new Blob([JSON.stringify(payload)], { type: 'text/plain;charset=UTF-8' }))
+});
+
+const createNoopTransport = () => ({
+  send: () => Promise.resolve(),
+  beacon: () => true
+});
+
+/**
+ * Build the transport named by a config block's TRANSPORT ('console', 'http' or 'noop')
+ */
+const createTransport = ({ TRANSPORT, ENDPOINT }, label) => {
+  if (TRANSPORT === 'http') {
+    if (ENDPOINT) return createHttpTransport(ENDPOINT);
+    console.warn(`⚠️ ${label} http transport needs an ENDPOINT, using no-op`);
+    return createNoopTransport();
   }
+  if (TRANSPORT === 'console') return createConsoleTransport(label);
+  return createNoopTransport();
 };
 
+// ===============================
+// ANALYTICS
+// ===============================
+
 /**
- * Continuously resolve overlaps by nudging colliding elements apart
+ * Create the analytics pipeline. Events queue in memory and go out in batches
+ * of BATCH_SIZE (or every FLUSH_INTERVAL_MS). Nothing is sent - or stored -
+ * until consent is granted; batches that can't be sent (offline or a failed
+ * request) wait in localStorage and are retried when the connection returns.
  */
-const resolveOverlaps = () => {
-  const elements = Array.from(document.querySelectorAll('.random-nft-bg'));
-  for (let i = 0; i < elements.length; i++) {
-    const a = elements[i];
-    const aRect = a.getBoundingClientRect();
-    for (let j = i + 1; j < elements.length; j++) {
-      const b = elements[j];
-      const bRect = b.getBoundingClientRect();
-      const buffer = CONFIG.OVERLAP_BUFFER_PX;
-      const overlapX = Math.max(0, Math.min(aRect.right + buffer, bRect.right + buffer) - Math.max(aRect.left - buffer, bRect.left - buffer));
-      const overlapY = Math.max(0, Math.min(aRect.bottom + buffer, bRect.bottom + buffer) - Math.max(aRect.top - buffer, bRect.top - buffer));
-      if (overlapX > 0 && overlapY > 0) {
-        // Compute minimal nudge vector
-        const moveX = overlapX / 2 + 2; // small extra to avoid jitter
-        const moveY = overlapY / 2 + 2;
-        // Apply nudges in opposite directions, constrained to viewport
-        const ax = Math.max(0, Math.min(window.innerWidth - aRect.width, a.offsetLeft - moveX));
-        const ay = Math.max(0, Math.min(window.innerHeight - aRect.height, a.offsetTop - moveY));
-        const bx = Math.max(0, Math.min(window.innerWidth - bRect.width, b.offsetLeft + moveX));
-        const by = Math.max(0, Math.min(window.innerHeight - bRect.height, b.offsetTop + moveY));
-        a.style.left = `${ax}px`;
-        a.style.top = `${ay}px`;
-        b.style.left = `${bx}px`;
-        b.style.top = `${by}px`;
-        // Update tracking positions if present
-        if (a.positionRef && typeof a.elementSize === 'number') {
-          a.positionRef.x = ax + a.elementSize / 2;
-          a.positionRef.y = ay + a.elementSize / 2;
-        }
-        if (b.positionRef && typeof b.elementSize === 'number') {
-          b.positionRef.x = bx + b.elementSize / 2;
-          b.positionRef.y = by + b.elementSize / 2;
-        }
+const createAnalytics = ({
+  transport = createTransport(CONFIG.ANALYTICS, 'Analytics'),
+  config = CONFIG.ANALYTICS,
+  clock = systemClock
+} = {}) => {
+  const queue = [];
+  const sessionId = Math.floor(Math.random() * 0xFFFFFFFF).toString(36);
+  let consent = null; // 'granted' | 'denied' | null (not asked yet)
+  let intervalId = null;
+  
+  try {
+    consent = localStorage.getItem(config.CONSENT_KEY);
+  } catch (error) {
+    // Storage blocked - ask again
+  }
+  if (!config.REQUIRE_CONSENT && consent === null) consent = 'granted';
+  
+  const readBuffer = () => {
+    try {
+      const stored = JSON.parse(localStorage.getItem(config.STORAGE_KEY) || '[]');
+      return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+      return [];
+    }
+  };
+  
+  const writeBuffer = (events) => {
+    try {
+      if (events.length === 0) {
+        localStorage.removeItem(config.STORAGE_KEY);
+      } else {
+        localStorage.setItem(config.STORAGE_KEY, JSON.stringify(events.slice(-config.MAX_BUFFERED)));
       }
+    } catch (error) {
+      console.warn('⚠️ Could not buffer analytics events:', error);
     }
-  }
+  };
+  
+  const bufferEvents = (events) => writeBuffer(readBuffer().concat(events));
+  
+  const isOnline = () => navigator.onLine !== false;
+  
+  // Take everything waiting - stored first so order is kept
+  const drain = () => {
+    const events = readBuffer().concat(queue.splice(0));
+    writeBuffer([]);
+    return events;
+  };
+  
+  const toBatches = (events) => {
+    const batches = [];
+    for (let i = 0; i < events.length; i += config.BATCH_SIZE) {
+      batches.push(events.slice(i, i + config.BATCH_SIZE));
+    }
+    return batches;
+  };
+  
+  const flush = () => {
+    if (consent !== 'granted') return;
+    if (!isOnline()) {
+      bufferEvents(queue.splice(0));
+      return;
+    }
+    
+    toBatches(drain()).forEach(batch => {
+      transport.send({ events: batch }).catch(error => {
+        console.warn('⚠️ Analytics batch failed, buffering for later:', error);
+        bufferEvents(batch);
+      });
+    });
+  };
+  
+  // Last-chance flush while the page is being hidden or unloaded
+  const flushBeacon = () => {
+    if (consent !== 'granted') return;
+    if (!isOnline()) {
+      bufferEvents(queue.splice(0));
+      return;
+    }
+    
+    const unsent = [];
+    toBatches(drain()).forEach(batch => {
+      if (!transport.beacon({ events: batch })) unsent.push(...batch);
+    });
+    if (unsent.length > 0) bufferEvents(unsent);
+  };
+  
+  const track = (name, props = {}) => {
+    if (consent === 'denied') return;
+    queue.push({
+      name,
+      props,
+      ts: clock.now(),
+      session: sessionId,
+      page: window.location.pathname
+    });
+    // Held in memory until consent; capped like the offline buffer
+    if (queue.length > config.MAX_BUFFERED) queue.shift();
+    if (consent === 'granted' && queue.length >= config.BATCH_SIZE) flush();
+  };
+  
+  const setConsent = (granted) => {
+    consent = granted ? 'granted' : 'denied';
+    try {
+      localStorage.setItem(config.CONSENT_KEY, consent);
+    } catch (error) {
+      // Storage blocked - consent lasts for this visit only
+    }
+    if (granted) {
+      flush();
+    } else {
+      queue.length = 0;
+      writeBuffer([]);
+    }
+    console.log(`📊 Analytics consent ${consent}`);
+  };
+  
+  const getConsent = () => consent;
+  
+  const start = () => {
+    if (intervalId !== null) return;
+    intervalId = clock.setInterval(flush, config.FLUSH_INTERVAL_MS);
+    window.addEventListener('online', flush);
+  };
+  
+  const stop = () => {
+    if (intervalId !== null) {
+      clock.clearInterval(intervalId);
+      intervalId = null;
+    }
+    window.removeEventListener('online', flush);
+  };
+  
+  const getState = () => ({
+    consent,
+    queued: queue.length,
+    buffered: readBuffer().length
+  });
+  
+  return { track, flush, flushBeacon, setConsent, getConsent, start, stop, getState };
+};
+
+/**
+ * The page's analytics pipeline (null while CONFIG.FEATURES.ANALYTICS is off)
+ */
+let analytics = null;
+
+/**
+ * Record an analytics event; a no-op when analytics is off
+ */
+const trackEvent = (name, props) => {
+  if (analytics) analytics.track(name, props);
+};
+
+/**
+ * Ask for analytics consent with a small banner (only shown until the visitor answers)
+ */
+const showAnalyticsConsent = () => {
+  const banner = document.createElement('div');
+  banner.className = 'analytics-consent';
+  banner.setAttribute('role', 'region');
+  banner.setAttribute('data-i18n-aria-label', 'analytics.label');
+  banner.innerHTML = `
+    <p data-i18n="analytics.question"></p>
+    <button type="button" data-consent="granted" data-i18n="analytics.allow"></button>
+    <button type="button" data-consent="denied" data-i18n="analytics.deny"></button>
+  `;
+  translatePage(banner);
+  translateElement(banner);
+  banner.addEventListener('click', (e) => {
+    const choice = e.target.dataset && e.target.dataset.consent;
+    if (!choice) return;
+    analytics.setConsent(choice === 'granted');
+    banner.remove();
+  });
+  document.body.appendChild(banner);
+};
+
+/**
+ * Start analytics when the feature flag is on: consent gate, periodic flushing
+ * and dwell time (visible time, reported each time the page is hidden)
+ */
+const setupAnalytics = () => {
+  if (!CONFIG.FEATURES.ANALYTICS) return;
+  
+  analytics = createAnalytics();
+  analytics.start();
+  if (analytics.getConsent() === null) showAnalyticsConsent();
+  
+  let visibleSince = document.hidden ? null : performance.now();
+  const endDwell = () => {
+    if (visibleSince === null) return;
+    trackEvent('dwell', { ms: Math.round(performance.now() - visibleSince) });
+    visibleSince = null;
+  };
+  
+  document.addEventListener('visibilitychange', () => {
+    if (document.hidden) {
+      endDwell();
+      analytics.flushBeacon();
+    } else {
+      visibleSince = performance.now();
+    }
+  });
+  window.addEventListener('pagehide', () => {
+    endDwell();
+    analytics.flushBeacon();
+  });
+  
+  console.log(`📊 Analytics ready (${CONFIG.ANALYTICS.TRANSPORT}, consent: ${analytics.getConsent() || 'pending'})`);
+};
+
+// ===============================
+// RESPONSIVE UTILITIES
+// ===============================
+
+/**
+ * Handle orientation changes on mobile
+ */
+const handleOrientationChange = () => {
+  // Slight delay to allow for proper viewport calculation
+  setTimeout(() => {
+    const vh = window.innerHeight * 0.01;
+    document.documentElement.style.setProperty('--vh', `${vh}px`);
+  }, 100);
+};
+
+/**
+ * Setup responsive event listeners
+ */
+const setupResponsiveEvents = () => {
+  // Handle orientation changes
+  window.addEventListener('orientationchange', handleOrientationChange);
+  window.addEventListener('resize', handleOrientationChange);
+  
+  // Initial calculation
+  handleOrientationChange();
+};
+
+// ===============================
+// ACCESSIBILITY ENHANCEMENTS
+// ===============================
+
+/**
+ * Setup accessibility features
+ */
+const setupAccessibility = () => {
+  // Add skip link for screen readers
+  const skipLink = document.createElement('a');
+  skipLink.href = '#main-content';
+  localize(skipLink, 'page.skipLink');
+  skipLink.className = 'skip-link';
+  skipLink.style.cssText = `
+    position: absolute;
+    top: -100px;
+    left: 6px;
+    background: var(--primary-text);
+    color: var(--primary-bg);
+    padding: 8px;
+    text-decoration: none;
+    border-radius: 4px;
+    z-index: 1000;
+    transition: top 0.3s;
+    opacity: 0;
+    pointer-events: none;
+  `;
+  
+  skipLink.addEventListener('focus', () => {
+    skipLink.style.top = '6px';
+    skipLink.style.opacity = '1';
+    skipLink.style.pointerEvents = 'all';
+  });
+  
+  skipLink.addEventListener('blur', () => {
+    skipLink.style.top = '-100px';
+    skipLink.style.opacity = '0';
+    skipLink.style.pointerEvents = 'none';
+  });
+  
+  document.body.insertBefore(skipLink, document.body.firstChild);
+  
+  // Add main content id
+  const mainContainer = document.querySelector('.main-container');
+  if (mainContainer) {
+    mainContainer.id = 'main-content';
+  }
+  
+  // Announce page load to screen readers (once, in the locale at the time)
+  const announcement = document.createElement('div');
+  announcement.setAttribute('aria-live', 'polite');
+  announcement.setAttribute('aria-atomic', 'true');
+  announcement.className = 'sr-only';
+  announcement.textContent = translate('page.loaded');
+  document.body.appendChild(announcement);
+};
+
+const FOCUSABLE_SELECTOR = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+/**
+ * Keep Tab and Shift+Tab inside an open dialog, wrapping at either end.
+ * Call from the dialog's keydown handler; other keys are ignored.
+ */
+const trapFocus = (dialog, e) => {
+  if (e.key !== 'Tab') return;
+  const focusable = Array.from(dialog.querySelectorAll(FOCUSABLE_SELECTOR))
+    .filter(element => !element.closest('[hidden]'));
+  if (focusable.length === 0) {
+    e.preventDefault();
+    return;
+  }
+  
+  const first = focusable[0];
+  const last = focusable[focusable.length - 1];
+  const index = focusable.indexOf(document.activeElement);
+  if (e.shiftKey && index <= 0) {
+    e.preventDefault();
+    last.focus();
+  } else if (!e.shiftKey && (index === -1 || index === focusable.length - 1)) {
+    e.preventDefault();
+    first.focus();
+  }
+};
+
+/**
+ * Motion policy - calm mode follows prefers-reduced-motion, live
+ */
+const motionPolicy = {
+  calm: false
+};
+
+/**
+ * Apply the current motion policy to what is already on the page; everything
+ * created later checks motionPolicy.calm itself
+ */
+const applyMotionPolicy = () => {
+  document.body.classList.toggle('calm-motion', motionPolicy.calm);
+  
+  if (motionPolicy.calm) {
+    document.querySelectorAll('.random-nft-bg.floating').forEach(element => element.classList.remove('floating'));
+    document.querySelectorAll('.circular-btn').forEach(button => {
+      button.style.transform = '';
+    });
+  }
+  
+  console.log(`🧘 Motion policy: ${motionPolicy.calm ? 'calm (reduced motion)' : 'full'}`);
+};
+
+/**
+ * Follow the prefers-reduced-motion media query, including changes while the page is open
+ */
+const setupMotionPolicy = () => {
+  if (!window.matchMedia) return;
+  
+  const query = window.matchMedia('(prefers-reduced-motion: reduce)');
+  const onChange = (event) => {
+    motionPolicy.calm = event.matches;
+    applyMotionPolicy();
+  };
+  
+  if (query.addEventListener) {
+    query.addEventListener('change', onChange);
+  } else if (query.addListener) {
+    query.addListener(onChange); // Older Safari
+  }
+  onChange(query);
+};
+
+// ===============================
+// RANDOM NFT BACKGROUND SYSTEM
+// ===============================
+
+/**
+ * Validated meme manifest entries (loaded from CONFIG.MEME_MANIFEST_URL)
+ */
+const memeManifest = [];
+
+/**
+ * Manifest text: a non-empty string, or translations keyed by locale
+ */
+const isLocalizedText = (value) => {
+  const isText = (text) => typeof text === 'string' && text.trim() !== '';
+  if (isText(value)) return true;
+  return Boolean(value) && typeof value === 'object' && Object.keys(value).length > 0 &&
+    Object.values(value).every(isText);
+};
+
+/**
+ * Check a single manifest entry, returning a reason string if it is unusable
+ */
+const validateMemeEntry = (entry, seenFilenames) => {
+  if (!entry || typeof entry !== 'object') return 'entry is not an object';
+  if (typeof entry.filename !== 'string' || !/^[\w.-]+\.(png|jpe?g|gif|webp)$/i.test(entry.filename)) {
+    return 'filename must be a plain image filename';
+  }
+  if (seenFilenames.has(entry.filename)) return 'duplicate filename';
+  if (!Number.isInteger(entry.width) || entry.width <= 0 ||
+      !Number.isInteger(entry.height) || entry.height <= 0) {
+    return 'width and height must be positive integers';
+  }
+  if (!isLocalizedText(entry.alt)) return 'alt text is required (a string or { locale: string })';
+  if (entry.title !== undefined && !isLocalizedText(entry.title)) {
+    return 'title must be a non-empty string or { locale: string }';
+  }
+  if (entry.tags !== undefined &&
+      (!Array.isArray(entry.tags) || entry.tags.some(tag => typeof tag !== 'string'))) {
+    return 'tags must be an array of strings';
+  }
+  return null;
+};
+
+/**
+ * Load memes/manifest.json and keep only the valid entries
+ */
+const loadMemeManifest = () => {
+  return fetch(CONFIG.MEME_MANIFEST_URL)
+    .then(response => {
+      if (!response.ok) {
+        throw new Error(`Meme manifest request failed with status ${response.status}`);
+      }
+      return response.json();
+    })
+    .then(data => {
+      const entries = Array.isArray(data && data.memes) ? data.memes : [];
+      const seenFilenames = new Set();
+      
+      memeManifest.length = 0;
+      entries.forEach((entry, index) => {
+        const problem = validateMemeEntry(entry, seenFilenames);
+        if (problem) {
+          console.warn(`⚠️ Skipping meme manifest entry ${index}: ${problem}`, entry);
+          return;
+        }
+        seenFilenames.add(entry.filename);
+        memeManifest.push(entry);
+      });
+      
+      console.log(`🎨 Meme manifest loaded: ${memeManifest.length}/${entries.length} entries usable`);
+      return memeManifest;
+    });
+};
+
+/**
+ * Look up the manifest entry for a meme filename
+ */
+const getMemeEntry = (filename) => memeManifest.find(entry => entry.filename === filename);
+
+/**
+ * Check if a square at (x, y) would overlap any of the protected `zones`
+ */
+const isInMainContentArea = (zones, x, y, elementSize) => {
+  return zones.some(zone => {
+    const overlapsHorizontally = x < zone.right && x + elementSize > zone.left;
+    const overlapsVertically = y < zone.bottom && y + elementSize > zone.top;
+    return overlapsHorizontally && overlapsVertically;
+  });
+};
+
+/**
+ * Build an occupancy grid over the viewport. A cell is blocked as soon as any
+ * obstacle touches it, so a run of free cells is always truly free space.
+ */
+const createOccupancyGrid = (width, height, cellSize) => {
+  const cols = Math.max(0, Math.floor(width / cellSize));
+  const rows = Math.max(0, Math.floor(height / cellSize));
+  const blocked = new Uint8Array(cols * rows);
+  
+  const block = (rect) => {
+    const startCol = Math.max(0, Math.floor(rect.left / cellSize));
+    const endCol = Math.min(cols - 1, Math.ceil(rect.right / cellSize) - 1);
+    const startRow = Math.max(0, Math.floor(rect.top / cellSize));
+    const endRow = Math.min(rows - 1, Math.ceil(rect.bottom / cellSize) - 1);
+    for (let row = startRow; row <= endRow; row++) {
+      for (let col = startCol; col <= endCol; col++) {
+        blocked[row * cols + col] = 1;
+      }
+    }
+  };
+  
+  return { cols, rows, cellSize, blocked, block };
+};
+
+/**
+ * List every top-left cell where a square of `size` px fits on free cells
+ */
+const findFreeSquares = (grid, size) => {
+  const { cols, rows, cellSize, blocked } = grid;
+  const span = Math.ceil(size / cellSize);
+  const free = [];
+  if (span > cols || span > rows) return free;
+  
+  // 2D prefix sums of blocked cells give O(1) block checks
+  const stride = cols + 1;
+  const sums = new Uint32Array(stride * (rows + 1));
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      sums[(row + 1) * stride + col + 1] = blocked[row * cols + col] +
+        sums[row * stride + col + 1] +
+        sums[(row + 1) * stride + col] -
+        sums[row * stride + col];
+    }
+  }
+  
+  for (let row = 0; row + span <= rows; row++) {
+    for (let col = 0; col + span <= cols; col++) {
+      const count = sums[(row + span) * stride + col + span] -
+        sums[row * stride + col + span] -
+        sums[(row + span) * stride + col] +
+        sums[row * stride + col];
+      if (count === 0) free.push({ col, row });
+    }
+  }
+  
+  return free;
+};
+
+/**
+ * Place a square of `size` px so it overlaps no obstacle and keeps `gap` px
+ * from every occupied square. Among free spots it keeps the best of a few
+ * random candidates - the one farthest from existing memes - so the layout
+ * spreads out instead of clumping. Returns null when there is no room.
+ *
+ * @param {Object} options
+ * @param {number} options.width - Area width in px
+ * @param {number} options.height - Area height in px
+ * @param {number} options.size - Side of the square to place
+ * @param {Array} options.obstacles - Rects ({ left, top, right, bottom }) to keep clear of
+ * @param {Array} options.occupied - Squares already placed ({ x, y, size } with centre x/y)
+ * @param {Function} options.random - PRNG with the Math.random contract
+ */
+const placeSquare = ({ width, height, size, obstacles = [], occupied = [], random = Math.random }) => {
+  const { PLACEMENT_CELL_PX, PLACEMENT_CANDIDATES, EDGE_MARGIN_PX } = CONFIG.BACKGROUND;
+  const gap = CONFIG.OVERLAP_BUFFER_PX;
+  const margin = EDGE_MARGIN_PX;
+  const grid = createOccupancyGrid(width - margin * 2, height - margin * 2, PLACEMENT_CELL_PX);
+  
+  // Grid coordinates are offset by the edge margin
+  const blockRect = (rect) => grid.block({
+    left: rect.left - margin,
+    top: rect.top - margin,
+    right: rect.right - margin,
+    bottom: rect.bottom - margin
+  });
+  
+  obstacles.forEach(blockRect);
+  occupied.forEach(pos => blockRect({
+    left: pos.x - pos.size / 2 - gap,
+    top: pos.y - pos.size / 2 - gap,
+    right: pos.x + pos.size / 2 + gap,
+    bottom: pos.y + pos.size / 2 + gap
+  }));
+  
+  const free = findFreeSquares(grid, size);
+  if (free.length === 0) return null;
+  
+  let best = null;
+  let bestScore = -1;
+  for (let i = 0; i < PLACEMENT_CANDIDATES; i++) {
+    const cell = free[Math.floor(random() * free.length)];
+    const x = margin + cell.col * PLACEMENT_CELL_PX;
+    const y = margin + cell.row * PLACEMENT_CELL_PX;
+    const centreX = x + size / 2;
+    const centreY = y + size / 2;
+    const score = occupied.length === 0
+      ? 0
+      : Math.min(...occupied.map(pos => Math.hypot(centreX - pos.x, centreY - pos.y)));
+    if (score > bestScore) {
+      best = { x, y };
+      bestScore = score;
+    }
+  }
+  
+  return best;
+};
+
+/**
+ * Check whether two squares (centre x/y plus size) are closer than `gap`
+ */
+const squaresCollide = (a, b, gap) => {
+  const gapX = Math.abs(a.x - b.x) - (a.size + b.size) / 2;
+  const gapY = Math.abs(a.y - b.y) - (a.size + b.size) / 2;
+  return gapX < gap && gapY < gap;
+};
+
+/**
+ * Check whether a square with top-left x/y fits inside the edge margins,
+ * clear of the `obstacles` (protected content) and `occupied` squares
+ */
+const squareFitsAt = ({ x, y, size, width, height, obstacles = [], occupied = [] }) => {
+  const margin = CONFIG.BACKGROUND.EDGE_MARGIN_PX;
+  const candidate = { x: x + size / 2, y: y + size / 2, size };
+  return x >= margin && y >= margin &&
+    x + size <= width - margin && y + size <= height - margin &&
+    !isInMainContentArea(obstacles, x, y, size) &&
+    !occupied.some(other => squaresCollide(candidate, other, CONFIG.OVERLAP_BUFFER_PX));
+};
+
+/**
+ * Create the area one meme background draws in: a layer appended to
+ * `container`, plus the positions, images and protected zones of that
+ * background alone. Coordinates are relative to the layer; on document.body
+ * the layer is fixed to the viewport, anywhere else it fills the container.
+ *
+ * @param {Object} options
+ * @param {Element} options.container - Element to mount into
+ * @param {Array} options.protect - Selectors (inside the container) memes keep clear of
+ */
+const createMemeStage = ({ container, protect = CONFIG.BACKGROUND.PROTECTED_SELECTORS }) => {
+  const fullPage = container === document.body || container === document.documentElement;
+  const positions = []; // Reserved squares (centre x/y plus size), to prevent overlap
+  const images = new Set(); // Filenames on show, to prevent duplicates
+  const zones = []; // Protected content rects, in layer coordinates
+  
+  const layer = document.createElement('div');
+  layer.className = fullPage ? 'meme-layer meme-layer-page' : 'meme-layer';
+  
+  // The layer is absolutely positioned, so the container has to be its containing block
+  const restorePosition = container.style.position;
+  if (!fullPage && getComputedStyle(container).position === 'static') {
+    container.style.position = 'relative';
+  }
+  container.appendChild(layer);
+  
+  const getArea = () => (fullPage
+    ? { width: window.innerWidth, height: window.innerHeight }
+    : { width: container.clientWidth, height: container.clientHeight });
+  
+  const getProtectedElements = () => protect
+    .flatMap(selector => Array.from(container.querySelectorAll(selector)))
+    .filter(element => !layer.contains(element));
+  
+  // Measure the protected zones from the bounding rects of the content elements
+  const measureZones = () => {
+    const padding = CONFIG.BACKGROUND.PROTECTED_PADDING_PX;
+    const origin = layer.getBoundingClientRect();
+    zones.length = 0;
+    
+    getProtectedElements().forEach(element => {
+      const rect = element.getBoundingClientRect();
+      if (rect.width === 0 && rect.height === 0) return; // not rendered
+      zones.push({
+        left: rect.left - origin.left - padding,
+        top: rect.top - origin.top - padding,
+        right: rect.right - origin.left + padding,
+        bottom: rect.bottom - origin.top + padding
+      });
+    });
+    
+    return zones;
+  };
+  
+  // Find a free spot for a new meme and reserve it, or return null if there is no room.
+  // A `preferred` centre (e.g. a restored pin) is used as-is when it is still free.
+  const reserve = (elementSize, random = Math.random, preferred = null) => {
+    const { width, height } = getArea();
+    if (preferred) {
+      const x = preferred.x - elementSize / 2;
+      const y = preferred.y - elementSize / 2;
+      if (squareFitsAt({ x, y, size: elementSize, width, height, obstacles: zones, occupied: positions })) {
+        const position = { x: preferred.x, y: preferred.y, size: elementSize };
+        positions.push(position);
+        return { x, y, position };
+      }
+    }
+    
+    const spot = placeSquare({ width, height, size: elementSize, obstacles: zones, occupied: positions, random });
+    if (!spot) return null;
+    
+    const position = { x: spot.x + elementSize / 2, y: spot.y + elementSize / 2, size: elementSize };
+    positions.push(position);
+    return { x: spot.x, y: spot.y, position };
+  };
+  
+  const free = (position) => {
+    const index = positions.indexOf(position);
+    if (index > -1) {
+      positions.splice(index, 1);
+    }
+  };
+  
+  // Resize a reserved square around its centre; growing into a taken spot is refused
+  const resize = (position, size) => {
+    if (size > position.size) {
+      const { width, height } = getArea();
+      const occupied = positions.filter(other => other !== position);
+      const x = position.x - size / 2;
+      const y = position.y - size / 2;
+      if (!squareFitsAt({ x, y, size, width, height, obstacles: zones, occupied })) return false;
+    }
+    position.size = size;
+    return true;
+  };
+  
+  // Meme sizes follow the stage's width, not the window's: an embed in a narrow
+  // column gets the compact sizes on a wide screen too
+  const getSizeMap = () => {
+    const { width } = getArea();
+    layer.classList.toggle('meme-layer-compact', isCompactStage(width));
+    return getNFTSizeMap(width);
+  };
+  
+  const attach = (element) => layer.appendChild(element);
+  
+  // Release the position and image an element was holding and detach it
+  const release = (element) => {
+    if (element.positionRef) free(element.positionRef);
+    if (element.imageFilename) images.delete(element.imageFilename);
+    element.remove();
+  };
+  
+  // Take the layer (and every meme in it) off the page
+  const destroy = () => {
+    layer.remove();
+    positions.length = 0;
+    images.clear();
+    zones.length = 0;
+    container.style.position = restorePosition;
+  };
+  
+  return {
+    container, layer, images, fullPage,
+    getArea, getSizeMap, measureZones, getZones: () => zones, getProtectedElements,
+    reserve, free, resize, attach, release, destroy
+  };
+};
+
+/**
+ * Stages this narrow get the smaller meme sizes (.meme-layer-compact in styles.css)
+ */
+const isCompactStage = (width) => width <= 768;
+
+/**
+ * Pixel size of each size class on a stage `width` wide (matches styles.css)
+ */
+const getNFTSizeMap = (width) => {
+  const isCompact = isCompactStage(width);
+  return {
+    'size-small': isCompact ? 60 : 80,
+    'size-medium': isCompact ? 80 : 120,
+    'size-large': isCompact ? 100 : 160
+  };
+};
+
+/**
+ * Get available NFT filenames that aren't currently displayed on `stage`
+ */
+const getAvailableNFTFilenames = (stage) => {
+  const allFilenames = getLoadableMemeFilenames();
+  return allFilenames.filter(filename => !stage.images.has(filename));
+};
+
+/**
+ * Alt text and aria-label for a meme element in the current locale
+ */
+const applyMemeText = (element, entry) => {
+  const alt = localizeText(entry.alt);
+  const img = element.querySelector('img');
+  if (img) img.alt = alt;
+  element.setAttribute('aria-label', translate('meme.open', { alt }));
+};
+
+/**
+ * Create a random NFT background element for `stage` with collision and duplicate detection.
+ * When it can't, it returns null and tells `onSkip` why: 'duplicate' (every meme is
+ * already shown), 'unavailable' (the requested one is unknown or shown) or 'no-room'.
+ */
+const createRandomNFTElement = (stage, random = Math.random, { filename = null, sizeClass = null, at = null } = {}, onSkip = () => {}) => {
+  const availableFilenames = getAvailableNFTFilenames(stage);
+  
+  // If no unique images available, wait for some to disappear
+  if (availableFilenames.length === 0) {
+    console.log(isOffline()
+      ? '📴 Every cached meme is already displayed, waiting for variety...'
+      : '🎨 All NFT images currently displayed, waiting for variety...');
+    onSkip('duplicate');
+    return null;
+  }
+  
+  // A specific meme can be requested (e.g. a shared ?meme= link)
+  if (filename && !availableFilenames.includes(filename)) {
+    console.log(`🎨 ${filename} is unknown or already displayed`);
+    onSkip('unavailable');
+    return null;
+  }
+  
+  const randomFilename = filename || availableFilenames[Math.floor(random() * availableFilenames.length)];
+  const memeEntry = getMemeEntry(randomFilename);
+  
+  // Add to active images set immediately to prevent duplicates
+  stage.images.add(randomFilename);
+  
+  // Create container element
+  const element = document.createElement('div');
+  element.className = 'random-nft-bg fade-in';
+  
+  // Add random size class with weighted distribution (more small/medium),
+  // falling back to the smallest size the current quality tier allows
+  const sizeWeights = ['size-small', 'size-small', 'size-medium', 'size-medium', 'size-large'];
+  const weightedSize = sizeWeights[Math.floor(random() * sizeWeights.length)];
+  const randomSize = sizeClass ||
+    (backgroundQuality.sizes.includes(weightedSize) ? weightedSize : backgroundQuality.sizes[0]);
+  element.classList.add(randomSize);
+  
+  // Determine actual size for collision detection
+  const elementSize = stage.getSizeMap()[randomSize];
+  
+  // Reserve a free spot first; with no room there is nothing to create
+  const placement = stage.reserve(elementSize, random, at);
+  if (!placement) {
+    console.log('🎨 No room for another NFT right now');
+    stage.images.delete(randomFilename);
+    onSkip('no-room');
+    return null;
+  }
+  const { x, y, position } = placement;
+  
+  // Add floating animation (70% chance for more movement) unless the quality tier or calm
+  // mode turned it off; the roll happens either way so a seeded layout doesn't change
+  const floats = random() > 0.3;
+  if (floats && backgroundQuality.floating && !motionPolicy.calm) {
+    element.classList.add('floating');
+  }
+  
+  // Create image element
+  const img = document.createElement('img');
+  img.src = `${CONFIG.MEME_DIR}/${randomFilename}`;
+  img.width = memeEntry.width;
+  img.height = memeEntry.height;
+  img.loading = 'lazy';
+  
+  // Handle image load error gracefully
+  img.onerror = () => {
+    console.warn(`Failed to load meme image: ${randomFilename}`);
+    addBreadcrumb('meme', `Image failed: ${randomFilename}`);
+    reportError(new Error(`Meme image failed to load: ${img.src}`), { type: 'image', filename: randomFilename });
+    // Remove from active images set
+    stage.images.delete(randomFilename);
+    element.remove();
+  };
+  
+  element.appendChild(img);
+  
+  element.style.left = `${x}px`;
+  element.style.top = `${y}px`;
+  
+  // Store references for cleanup
+  element.positionRef = position;
+  element.imageFilename = randomFilename;
+  element.sizeClass = randomSize;
+  element.elementSize = elementSize;
+  
+  // What it rolled before the quality tier had a say, so a better tier can give it back
+  element.preferredSizeClass = sizeClass || weightedSize;
+  element.floats = floats;
+  
+  // Clickable/focusable: opens the meme lightbox
+  element.tabIndex = 0;
+  element.setAttribute('role', 'button');
+  applyMemeText(element, memeEntry);
+  
+  // No animation delay to prevent flashing
+  element.style.animationDelay = '0s';
+  
+  // Let the CSS animation handle the transition completely
+  // No manual visibility toggle to prevent conflicts
+  
+  return element;
+};
+
+/**
+ * Start the long fade-out on an element; the scheduler detaches it after the
+ * same `fadeOutMs`, so pass the instance's FADE_OUT_MS
+ */
+const fadeOutNFTElement = (element, fadeOutMs = CONFIG.BACKGROUND.FADE_OUT_MS) => {
+  element.classList.remove('fade-in');
+  element.classList.add('fade-out');
+  element.style.animation = `simpleSmoothFadeOut ${fadeOutMs / 1000}s ease-out forwards`;
+};
+
+/**
+ * Switch an element to another size class around the same centre. Shrinking
+ * always works; growing only when the bigger square is free on `stage`
+ */
+const resizeNFTElement = (stage, element, sizeClass) => {
+  const position = element.positionRef;
+  const size = stage.getSizeMap()[sizeClass];
+  if (!position || !size || sizeClass === element.sizeClass) return false;
+  if (!stage.resize(position, size)) return false;
+  
+  element.classList.remove(element.sizeClass);
+  element.classList.add(sizeClass);
+  element.sizeClass = sizeClass;
+  element.elementSize = size;
+  element.style.left = `${position.x - size / 2}px`;
+  element.style.top = `${position.y - size / 2}px`;
+  return true;
+};
+
+/**
+ * Continuously resolve overlaps on `stage` by nudging colliding elements apart
+ */
+const resolveOverlaps = (stage) => {
+  const elements = Array.from(stage.layer.querySelectorAll('.random-nft-bg'));
+  const { width, height } = stage.getArea();
+  const zones = stage.getZones();
+  for (let i = 0; i < elements.length; i++) {
+    const a = elements[i];
+    const aRect = a.getBoundingClientRect();
+    for (let j = i + 1; j < elements.length; j++) {
+      const b = elements[j];
+      const bRect = b.getBoundingClientRect();
+      const buffer = CONFIG.OVERLAP_BUFFER_PX / 2; // per side, so the gap matches placement
+      const overlapX = Math.max(0, Math.min(aRect.right + buffer, bRect.right + buffer) - Math.max(aRect.left - buffer, bRect.left - buffer));
+      const overlapY = Math.max(0, Math.min(aRect.bottom + buffer, bRect.bottom + buffer) - Math.max(aRect.top - buffer, bRect.top - buffer));
+      if (overlapX > 0 && overlapY > 0) {
+        // Compute minimal nudge vector
+        const moveX = overlapX / 2 + 2; // small extra to avoid jitter
+        const moveY = overlapY / 2 + 2;
+        // Apply nudges in opposite directions, constrained to the stage
+        const ax = Math.max(0, Math.min(width - aRect.width, a.offsetLeft - moveX));
+        const ay = Math.max(0, Math.min(height - aRect.height, a.offsetTop - moveY));
+        const bx = Math.max(0, Math.min(width - bRect.width, b.offsetLeft + moveX));
+        const by = Math.max(0, Math.min(height - bRect.height, b.offsetTop + moveY));
+        // Never nudge a meme onto the protected content
+        const moveA = !isInMainContentArea(zones, ax, ay, aRect.width);
+        const moveB = !isInMainContentArea(zones, bx, by, bRect.width);
+        if (moveA) {
+          a.style.left = `${ax}px`;
+          a.style.top = `${ay}px`;
+        }
+        if (moveB) {
+          b.style.left = `${bx}px`;
+          b.style.top = `${by}px`;
+        }
+        // Update tracking positions if present
+        if (moveA && a.positionRef && typeof a.elementSize === 'number') {
+          a.positionRef.x = ax + a.elementSize / 2;
+          a.positionRef.y = ay + a.elementSize / 2;
+        }
+        if (moveB && b.positionRef && typeof b.elementSize === 'number') {
+          b.positionRef.x = bx + b.elementSize / 2;
+          b.positionRef.y = by + b.elementSize / 2;
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Default scheduler clock: wall time and real timers.
+ * Pass a manual clock to createBackgroundScheduler to step it deterministically.
+ */
+const systemClock = {
+  now: () => Date.now(),
+  setInterval: (callback, ms) => setInterval(callback, ms),
+  clearInterval: (id) => clearInterval(id)
+};
+
+/**
+ * Create the tick-driven scheduler that owns the background population.
+ * Each tick removes finished fade-outs, retires expired memes, runs turnover,
+ * resolves overlaps and spawns toward the target count - nothing else in the
+ * background system sets its own timers. Every random choice goes through
+ * `random`, so a seeded PRNG makes the sequence reproducible. Spawns, skipped
+ * spawns and removals are reported through `emit` ('meme:spawn', 'meme:skip',
+ * 'meme:remove').
+ * Memes are placed on and attached to `stage` (see createMemeStage).
+ */
+const createBackgroundScheduler = ({
+  stage,
+  clock = systemClock,
+  random = Math.random,
+  config = CONFIG.BACKGROUND,
+  getQuality = () => backgroundQuality,
+  isCalm = () => motionPolicy.calm,
+  emit = emitTangEvent
+} = {}) => {
+  const memes = []; // { element, createdAt, expiresAt, removeAt, holds, pinned }
+  let targetOverride = null; // setTargetCount(); null follows config.TARGET_COUNT
+  let draining = false; // drain(): only finish fade-outs, then stop
+  let intervalId = null;
+  let pausedAt = null;
+  let startedAt = 0;
+  let lastSpawnAt = -Infinity;
+  let lastTurnoverAt = 0;
+  let lastOverlapPassAt = 0;
+  
+  const getActiveMemes = () => memes.filter(meme => meme.removeAt === null);
+  
+  // Lower quality tiers thin the population; extra memes leave as they expire
+  const getTargetCount = () => {
+    const base = Math.min(targetOverride === null ? config.TARGET_COUNT : targetOverride, config.MAX_COUNT);
+    return Math.max(base > 0 ? 1 : 0, Math.round(base * getQuality().targetScale));
+  };
+  
+  // Pinned and held (e.g. open in the lightbox) memes are exempt from expiry and turnover
+  const canRetire = (meme, now) =>
+    !meme.pinned && meme.holds === 0 && now - meme.createdAt >= CONFIG.MIN_VISIBLE_MS;
+  
+  const spawn = (now, options) => {
+    lastSpawnAt = now;
+    const element = createRandomNFTElement(stage, random, options, (reason) => {
+      emit('meme:skip', { reason, filename: (options && options.filename) || null });
+    });
+    if (!element) {
+      addBreadcrumb('meme', 'Spawn skipped (no free image or spot)');
+      return null;
+    }
+    
+    stage.attach(element);
+    const lifetime = config.LIFETIME_MIN_MS + random() * config.LIFETIME_JITTER_MS;
+    const meme = { element, createdAt: now, expiresAt: now + lifetime, removeAt: null, holds: 0, pinned: false };
+    memes.push(meme);
+    addBreadcrumb('meme', `Spawned ${element.imageFilename}`);
+    emit('meme:spawn', { element, filename: element.imageFilename });
+    playSound('spawn');
+    console.log(`🎨 Added NFT background (${getActiveMemes().length}/${config.MAX_COUNT})`);
+    return meme;
+  };
+  
+  const retire = (meme, now, reason) => {
+    meme.removeAt = now + config.FADE_OUT_MS;
+    fadeOutNFTElement(meme.element, config.FADE_OUT_MS);
+    emit('meme:remove', { element: meme.element, filename: meme.element.imageFilename, reason });
+    playSound('remove');
+  };
+  
+  const tick = () => {
+    if (pausedAt !== null) return;
+    const now = clock.now();
+    
+    // Detach memes whose fade-out has finished or that were removed elsewhere (failed image load)
+    for (let i = memes.length - 1; i >= 0; i--) {
+      const finished = memes[i].removeAt !== null && now >= memes[i].removeAt;
+      if (finished || !memes[i].element.isConnected) {
+        if (memes[i].removeAt === null) {
+          emit('meme:remove', { element: memes[i].element, filename: memes[i].element.imageFilename, reason: 'failed' });
+        }
+        stage.release(memes[i].element);
+        memes.splice(i, 1);
+      }
+    }
+    
+    if (draining) {
+      if (memes.length === 0) stop();
+      return;
+    }
+    
+    // Retire memes whose lifetime is up (never before MIN_VISIBLE_MS);
+    // calm mode keeps a static arrangement with only a very slow lifetime
+    const calm = isCalm();
+    getActiveMemes().forEach(meme => {
+      const expired = calm
+        ? config.CALM.LIFETIME_MS !== null && now - meme.createdAt >= config.CALM.LIFETIME_MS
+        : now >= meme.expiresAt;
+      if (expired && canRetire(meme, now)) {
+        retire(meme, now, 'expired');
+      }
+    });
+    
+    // Turnover for variety once the background is populated (never in calm mode)
+    if (!calm && now - lastTurnoverAt >= config.TURNOVER_INTERVAL_MS) {
+      lastTurnoverAt = now;
+      const active = getActiveMemes();
+      const eligible = active.filter(meme => canRetire(meme, now));
+      if (active.length >= getTargetCount() && eligible.length > 0 &&
+          random() < config.TURNOVER_CHANCE) {
+        console.log('🔄 Turnover: retiring one NFT for variety');
+        retire(eligible[Math.floor(random() * eligible.length)], now, 'turnover');
+      }
+    }
+    
+    // Drift mode keeps memes apart on its own, without nudges; calm mode doesn't nudge at all
+    if (!config.DRIFT.ENABLED && !calm && now - lastOverlapPassAt >= CONFIG.OVERLAP_RESOLVE_INTERVAL_MS) {
+      lastOverlapPassAt = now;
+      resolveOverlaps(stage);
+    }
+    
+    // Spawn toward the target one at a time, never past the hard cap
+    // (pinned memes are active, so they count toward the target too). A
+    // background mounted before the manifest has loaded waits quietly for it.
+    const activeCount = getActiveMemes().length;
+    if (memeManifest.length > 0 &&
+        now - startedAt >= config.START_DELAY_MS &&
+        activeCount < getTargetCount() &&
+        now - lastSpawnAt >= config.SPAWN_STAGGER_MS) {
+      spawn(now);
+    }
+  };
+  
+  // Move every timestamp forward so hidden time doesn't count toward lifetimes
+  const shiftTimeline = (delta) => {
+    memes.forEach(meme => {
+      meme.createdAt += delta;
+      meme.expiresAt += delta;
+      if (meme.removeAt !== null) meme.removeAt += delta;
+    });
+    startedAt += delta;
+    lastSpawnAt += delta;
+    lastTurnoverAt += delta;
+    lastOverlapPassAt += delta;
+  };
+  
+  const start = () => {
+    draining = false;
+    if (intervalId !== null) return;
+    const now = clock.now();
+    startedAt = now;
+    lastTurnoverAt = now;
+    lastOverlapPassAt = now;
+    pausedAt = null;
+    intervalId = clock.setInterval(tick, config.TICK_MS);
+  };
+  
+  const stop = () => {
+    if (intervalId !== null) {
+      clock.clearInterval(intervalId);
+      intervalId = null;
+    }
+    pausedAt = null;
+  };
+  
+  const pause = () => {
+    if (intervalId === null || pausedAt !== null) return;
+    pausedAt = clock.now();
+    clock.clearInterval(intervalId);
+  };
+  
+  const resume = () => {
+    if (pausedAt === null) return;
+    shiftTimeline(clock.now() - pausedAt);
+    pausedAt = null;
+    intervalId = clock.setInterval(tick, config.TICK_MS);
+  };
+  
+  // Scale every meme's position to the new stage size and resize it for the
+  // current size map; only memes that no longer fit are evicted
+  const reflow = (from, to) => {
+    const now = clock.now();
+    const sizeMap = stage.getSizeMap();
+    const obstacles = stage.measureZones();
+    const kept = [];
+    let evicted = 0;
+    
+    // Pinned and held memes (open in the lightbox) claim their spots first,
+    // then other active ones, then ones already fading out
+    const isKept = (meme) => meme.pinned || meme.holds > 0;
+    const active = getActiveMemes();
+    const ordered = active.filter(isKept)
+      .concat(active.filter(meme => !isKept(meme)))
+      .concat(memes.filter(meme => meme.removeAt !== null));
+    ordered.forEach(meme => {
+      const element = meme.element;
+      const position = element.positionRef;
+      if (!position) return;
+      
+      const size = sizeMap[element.sizeClass] || position.size;
+      let centreX = position.x * (to.width / from.width);
+      let centreY = position.y * (to.height / from.height);
+      let fits = squareFitsAt({
+        x: centreX - size / 2,
+        y: centreY - size / 2,
+        size,
+        width: to.width,
+        height: to.height,
+        obstacles,
+        occupied: kept
+      });
+      
+      // A pinned or held meme that can't stay put moves anywhere it fits rather than leaving
+      if (!fits && isKept(meme)) {
+        const spot = placeSquare({
+          width: to.width,
+          height: to.height,
+          size,
+          obstacles,
+          occupied: kept,
+          random
+        });
+        if (spot) {
+          centreX = spot.x + size / 2;
+          centreY = spot.y + size / 2;
+          fits = true;
+        }
+      }
+      
+      if (fits) {
+        const x = centreX - size / 2;
+        const y = centreY - size / 2;
+        position.x = centreX;
+        position.y = centreY;
+        position.size = size;
+        element.elementSize = size;
+        element.style.left = `${x}px`;
+        element.style.top = `${y}px`;
+        kept.push(position);
+        return;
+      }
+      
+      // Free the spot straight away so it doesn't block the new layout
+      stage.free(position);
+      element.positionRef = null;
+      if (meme.removeAt === null) {
+        meme.pinned = false;
+        element.classList.remove('pinned');
+        retire(meme, now, 'evicted');
+        evicted++;
+      }
+    });
+    
+    console.log(`🔄 Reflowed NFT backgrounds: kept ${kept.length}, evicted ${evicted}`);
+  };
+  
+  const getState = () => ({
+    running: (intervalId !== null || pausedAt !== null) && !draining,
+    paused: pausedAt !== null,
+    active: getActiveMemes().length,
+    pinned: memes.filter(meme => meme.pinned).length,
+    leaving: memes.length - getActiveMemes().length,
+    target: getTargetCount()
+  });
+  
+  const getElements = () => memes.map(meme => meme.element);
+  
+  // Spawn a meme right away (optionally a specific filename/size class), within the hard cap
+  // and not while draining
+  const spawnNow = (options = {}) => {
+    if (draining || getActiveMemes().length >= config.MAX_COUNT) return null;
+    const meme = spawn(clock.now(), options);
+    return meme ? meme.element : null;
+  };
+  
+  const findMeme = (element) => memes.find(meme => meme.element === element);
+  
+  const has = (element) => Boolean(findMeme(element));
+  
+  const hold = (element) => {
+    const meme = findMeme(element);
+    if (meme) meme.holds++;
+  };
+  
+  const unhold = (element) => {
+    const meme = findMeme(element);
+    if (meme && meme.holds > 0) meme.holds--;
+  };
+  
+  // Pin a meme so it stays until unpinned; refused once the pin cap is reached
+  const pin = (element) => {
+    const meme = findMeme(element);
+    if (!meme || meme.removeAt !== null) return false;
+    if (meme.pinned) return true;
+    if (memes.filter(other => other.pinned).length >= config.PINS.MAX) return false;
+    meme.pinned = true;
+    element.classList.add('pinned');
+    return true;
+  };
+  
+  // Unpinned memes rejoin the rotation with at least a minimum lifetime left
+  const unpin = (element) => {
+    const meme = findMeme(element);
+    if (!meme || !meme.pinned) return;
+    meme.pinned = false;
+    meme.expiresAt = Math.max(meme.expiresAt, clock.now() + config.LIFETIME_MIN_MS);
+    element.classList.remove('pinned');
+  };
+  
+  const isPinned = (element) => Boolean(findMeme(element)?.pinned);
+  
+  const getPinnedElements = () => memes.filter(meme => meme.pinned).map(meme => meme.element);
+  
+  // Change the population (null goes back to config.TARGET_COUNT); memes over
+  // the new target leave now, oldest first, except pinned and held ones
+  const setTargetCount = (count) => {
+    targetOverride = count === null ? null : Math.max(0, Math.min(Math.floor(count), config.MAX_COUNT));
+    const now = clock.now();
+    const excess = getActiveMemes().length - getTargetCount();
+    getActiveMemes()
+      .filter(meme => !meme.pinned && meme.holds === 0)
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .slice(0, Math.max(0, excess))
+      .forEach(meme => retire(meme, now, 'density'));
+    return getTargetCount();
+  };
+  
+  // Fade out every meme on screen, pinned and held ones included
+  const clear = () => {
+    const now = clock.now();
+    getActiveMemes().forEach(meme => {
+      meme.pinned = false;
+      meme.element.classList.remove('pinned');
+      retire(meme, now, 'cleared');
+    });
+  };
+  
+  // Clear, stop spawning, and stop ticking once the fade-outs are done
+  const drain = () => {
+    clear();
+    draining = true;
+  };
+  
+  return {
+    start, stop, pause, resume, reflow, tick, getState, getElements,
+    spawnNow, has, hold, unhold, pin, unpin, isPinned, getPinnedElements,
+    setTargetCount, clear, drain,
+    getArea: stage.getArea,
+    resize: (element, sizeClass) => resizeNFTElement(stage, element, sizeClass)
+  };
+};
+
+/**
+ * Create the optional drift engine: memes glide with a slow velocity, push
+ * softly away from each other and from the protected content, and bounce off
+ * the stage edges. Runs on requestAnimationFrame and replaces the
+ * nudge-based overlap pass while enabled.
+ *
+ * @param {Object} options
+ * @param {Object} options.stage - The stage the memes live on (size and protected zones)
+ * @param {Function} options.getElements - Returns the meme elements to move
+ * @param {Function} options.isPaused - Frames are skipped while this returns true
+ * @param {Function} options.random - PRNG used for initial headings
+ */
+const createDriftEngine = ({ stage, getElements, isPaused = () => false, random = Math.random, config = CONFIG.BACKGROUND.DRIFT }) => {
+  let frameId = null;
+  let lastFrameAt = null;
+  
+  const ensureVelocity = (body) => {
+    if (typeof body.vx === 'number') return;
+    const angle = random() * Math.PI * 2;
+    body.vx = Math.cos(angle) * config.SPEED_PX_S;
+    body.vy = Math.sin(angle) * config.SPEED_PX_S;
+  };
+  
+  // Push `body` away from the nearest point of each protected zone it is close to
+  const applyZoneRepulsion = (body, dt) => {
+    const reach = body.size / 2 + config.ZONE_CLEARANCE_PX;
+    stage.getZones().forEach(zone => {
+      const nearestX = Math.max(zone.left, Math.min(body.x, zone.right));
+      const nearestY = Math.max(zone.top, Math.min(body.y, zone.bottom));
+      let dx = body.x - nearestX;
+      let dy = body.y - nearestY;
+      let distance = Math.hypot(dx, dy);
+      if (distance >= reach) return;
+      if (distance === 0) {
+        // Centre is inside the zone: head away from the zone's middle
+        dx = body.x - (zone.left + zone.right) / 2;
+        dy = body.y - (zone.top + zone.bottom) / 2;
+        distance = Math.hypot(dx, dy) || 1;
+      }
+      const strength = config.ZONE_REPULSION * (1 - Math.min(distance, reach) / reach);
+      body.vx += (dx / distance) * strength * dt;
+      body.vy += (dy / distance) * strength * dt;
+    });
+  };
+  
+  /**
+   * Advance every meme by `dt` seconds
+   */
+  const step = (dt) => {
+    const elements = getElements().filter(element => element.positionRef);
+    const bodies = elements.map(element => element.positionRef);
+    const { width, height } = stage.getArea();
+    const margin = CONFIG.BACKGROUND.EDGE_MARGIN_PX;
+    const gap = CONFIG.OVERLAP_BUFFER_PX;
+    
+    bodies.forEach(ensureVelocity);
+    
+    // Soft mutual repulsion inside the spacing range
+    for (let i = 0; i < bodies.length; i++) {
+      for (let j = i + 1; j < bodies.length; j++) {
+        const a = bodies[i];
+        const b = bodies[j];
+        const range = (a.size + b.size) / 2 + gap;
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const distance = Math.hypot(dx, dy) || 0.01;
+        if (distance >= range) continue;
+        const push = config.REPULSION * (1 - distance / range) * dt;
+        a.vx -= (dx / distance) * push;
+        a.vy -= (dy / distance) * push;
+        b.vx += (dx / distance) * push;
+        b.vy += (dy / distance) * push;
+      }
+    }
+    
+    bodies.forEach((body, index) => {
+      applyZoneRepulsion(body, dt);
+      
+      // Ease speed back toward the cruise speed so pushes fade out smoothly
+      const speed = Math.hypot(body.vx, body.vy) || 0.01;
+      const target = Math.min(speed, config.MAX_SPEED_PX_S);
+      const eased = target + (config.SPEED_PX_S - target) * Math.min(1, config.EASING * dt);
+      body.vx *= eased / speed;
+      body.vy *= eased / speed;
+      
+      body.x += body.vx * dt;
+      body.y += body.vy * dt;
+      
+      // Bounce off the stage edges
+      const half = body.size / 2;
+      if (body.x - half < margin) {
+        body.x = margin + half;
+        body.vx = Math.abs(body.vx);
+      } else if (body.x + half > width - margin) {
+        body.x = width - margin - half;
+        body.vx = -Math.abs(body.vx);
+      }
+      if (body.y - half < margin) {
+        body.y = margin + half;
+        body.vy = Math.abs(body.vy);
+      } else if (body.y + half > height - margin) {
+        body.y = height - margin - half;
+        body.vy = -Math.abs(body.vy);
+      }
+      
+      elements[index].style.left = `${body.x - half}px`;
+      elements[index].style.top = `${body.y - half}px`;
+    });
+  };
+  
+  const frame = (timestamp) => {
+    frameId = requestAnimationFrame(frame);
+    if (isPaused()) {
+      lastFrameAt = null;
+      return;
+    }
+    // Clamp long gaps (background tabs, jank) so nothing jumps
+    const dt = lastFrameAt === null ? 0 : Math.min(0.05, (timestamp - lastFrameAt) / 1000);
+    lastFrameAt = timestamp;
+    if (dt > 0) step(dt);
+  };
+  
+  const start = () => {
+    if (frameId !== null) return;
+    lastFrameAt = null;
+    frameId = requestAnimationFrame(frame);
+  };
+  
+  const stop = () => {
+    if (frameId !== null) {
+      cancelAnimationFrame(frameId);
+      frameId = null;
+    }
+  };
+  
+  return { start, stop, step };
+};
+
+/**
+ * Pick the layout seed: ?seed= URL parameter, then CONFIG.BACKGROUND.SEED,
+ * then a fresh random one (logged so a layout can be reproduced)
+ */
+const resolveBackgroundSeed = () => {
+  const urlSeed = new URLSearchParams(window.location.search).get('seed');
+  if (urlSeed) return urlSeed;
+  if (CONFIG.BACKGROUND.SEED !== null && CONFIG.BACKGROUND.SEED !== undefined) {
+    return String(CONFIG.BACKGROUND.SEED);
+  }
+  return Math.floor(Math.random() * 0xFFFFFFFF).toString(36);
+};
+
+/**
+ * Every mounted meme background, so page-wide changes (quality tier, locale,
+ * the lightbox) reach all of them
+ */
+const memeBackgrounds = new Set();
+
+/**
+ * The mounted background a meme element belongs to, if any
+ */
+const findMemeBackground = (element) =>
+  Array.from(memeBackgrounds).find(background => background.scheduler.has(element)) || null;
+
+/**
+ * Settings that may be null (see CONFIG.BACKGROUND)
+ */
+const NULLABLE_BACKGROUND_SETTINGS = ['SEED', 'CALM.LIFETIME_MS'];
+
+/**
+ * Background settings for one instance: `overrides` (any subset of
+ * CONFIG.BACKGROUND, nested groups like DRIFT included) merged over the page's.
+ * Throws a TypeError for an unknown setting or a value of the wrong type, so a
+ * bad config fails before anything is mounted.
+ */
+const resolveBackgroundConfig = (overrides) => {
+  if (overrides === undefined || overrides === null) return CONFIG.BACKGROUND;
+  
+  const isGroup = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+  const merge = (base, patch, prefix) => {
+    if (!isGroup(patch)) throw new TypeError(`${prefix || 'config'} must be an object of background settings`);
+    const merged = { ...base };
+    Object.keys(patch).forEach(key => {
+      const name = prefix ? `${prefix}.${key}` : key;
+      const expected = base[key];
+      const value = patch[key];
+      if (!(key in base)) throw new TypeError(`Unknown background setting ${name}`);
+      
+      if (isGroup(expected)) {
+        merged[key] = merge(expected, value, name);
+        return;
+      }
+      const nullable = expected === null || NULLABLE_BACKGROUND_SETTINGS.includes(name);
+      const valid = value === null
+        ? nullable
+        : Array.isArray(expected) ? Array.isArray(value) : typeof value === typeof expected || expected === null;
+      if (!valid) throw new TypeError(`Background setting ${name} has the wrong type (${JSON.stringify(value)})`);
+      merged[key] = value;
+    });
+    return merged;
+  };
+  
+  return merge(CONFIG.BACKGROUND, overrides, '');
+};
+
+/**
+ * Mount a meme background into `container` and start it. Each one has its own
+ * stage, scheduler and seed, pauses while the tab is hidden and reflows when
+ * its container resizes; destroy() removes every timer, listener and node it
+ * created. It is an EventTarget for `meme:spawn`, `meme:skip` and `meme:remove`.
+ *
+ * @param {Element} container - Element to fill (document.body covers the viewport)
+ * @param {Object} options
+ * @param {string} options.seed - Layout seed (a fresh random one by default)
+ * @param {Object} options.config - Any subset of CONFIG.BACKGROUND (nested groups too), merged over it
+ * @param {Array} options.protect - Selectors inside the container that memes keep clear of
+ * @param {Function} options.emit - Also receives every event (the page background forwards to TangCollection)
+ */
+const createMemeBackground = (container, {
+  seed = Math.floor(Math.random() * 0xFFFFFFFF).toString(36),
+  config: overrides = null,
+  protect = null,
+  emit = () => {}
+} = {}) => {
+  // Validated first: a bad config throws before the layer or any listener exists
+  const config = resolveBackgroundConfig(overrides);
+  
+  const events = new EventTarget();
+  const stage = createMemeStage({ container, protect: protect || config.PROTECTED_SELECTORS });
+  const scheduler = createBackgroundScheduler({
+    stage,
+    config,
+    random: createSeededRandom(seed),
+    emit: (type, detail) => {
+      events.dispatchEvent(new CustomEvent(type, { detail }));
+      emit(type, detail);
+    }
+  });
+  let driftEngine = null;
+  let observer = null;
+  let resizeTimeout = null;
+  let pausedByApi = false; // Paused with pause(): coming back to the tab doesn't resume it
+  let destroyed = false;
+  
+  // Entrance animations move the content without resizing it (the memes' own don't count)
+  const onAnimationEnd = (event) => {
+    if (!stage.layer.contains(event.target)) stage.measureZones();
+  };
+  
+  const onVisibilityChange = () => {
+    if (document.hidden) {
+      scheduler.pause();
+    } else if (!pausedByApi) {
+      scheduler.resume();
+    }
+  };
+  
+  // Keep memes through resizes and rotations, reflowing them to the new size
+  let area = stage.getArea();
+  const onResize = () => {
+    stage.measureZones();
+    clearTimeout(resizeTimeout);
+    resizeTimeout = setTimeout(() => {
+      const next = stage.getArea();
+      // A hidden container (display: none) keeps its layout for when it is back
+      if (next.width === 0 || next.height === 0) return;
+      if (next.width === area.width && next.height === area.height) return;
+      if (area.width > 0 && area.height > 0) scheduler.reflow(area, next);
+      area = next;
+    }, config.RESIZE_DEBOUNCE_MS);
+  };
+  
+  const stopLocaleSync = onLocaleChange(() => {
+    scheduler.getElements().forEach(element => {
+      const entry = getMemeEntry(element.imageFilename);
+      if (entry) applyMemeText(element, entry);
+    });
+  });
+  
+  stage.measureZones();
+  container.addEventListener('animationend', onAnimationEnd);
+  document.addEventListener('visibilitychange', onVisibilityChange);
+  window.addEventListener('resize', onResize);
+  if ('ResizeObserver' in window) {
+    observer = new ResizeObserver(onResize);
+    observer.observe(stage.fullPage ? document.documentElement : container);
+    stage.getProtectedElements().forEach(element => observer.observe(element));
+  }
+  
+  if (config.DRIFT.ENABLED) {
+    driftEngine = createDriftEngine({
+      stage,
+      getElements: scheduler.getElements,
+      isPaused: () => scheduler.getState().paused || motionPolicy.calm,
+      // Separate stream so drift frames don't shift the seeded spawn sequence
+      random: createSeededRandom(`${seed}:drift`),
+      config: config.DRIFT
+    });
+    driftEngine.start();
+    stage.layer.classList.add('nft-drift');
+  }
+  
+  // Start (or restart after stop)
+  const start = () => {
+    if (destroyed) return false;
+    pausedByApi = false;
+    scheduler.start();
+    if (!document.hidden) scheduler.resume();
+    return true;
+  };
+  
+  // Stop spawning and fade out every meme; start() brings the background back
+  const stop = () => {
+    pausedByApi = false;
+    scheduler.drain();
+    if (!document.hidden) scheduler.resume();
+    return true;
+  };
+  
+  // Freeze the background as it is (lifetimes stop counting) until resume()
+  const pause = () => {
+    pausedByApi = true;
+    scheduler.pause();
+    return true;
+  };
+  
+  const resume = () => {
+    pausedByApi = false;
+    if (!document.hidden) scheduler.resume();
+    return true;
+  };
+  
+  // How many memes to keep on screen (0 up to config.MAX_COUNT, null for the default)
+  const setDensity = (count) => {
+    if (count !== null && !(typeof count === 'number' && count >= 0)) {
+      console.warn(`⚠️ setDensity() expects a count >= 0 or null, got ${count}`);
+      return null;
+    }
+    return scheduler.setTargetCount(count);
+  };
+  
+  // A specific meme from the manifest, now; null if unknown, already shown, or no room
+  const spawnMeme = (filename, { sizeClass = null } = {}) =>
+    (destroyed ? null : scheduler.spawnNow({ filename, sizeClass }));
+  
+  const clear = () => {
+    scheduler.clear();
+    return true;
+  };
+  
+  const getState = () => ({ ...scheduler.getState(), pausedByApi, seed });
+  
+  const destroy = () => {
+    if (destroyed) return;
+    destroyed = true;
+    scheduler.stop();
+    if (driftEngine) driftEngine.stop();
+    clearTimeout(resizeTimeout);
+    if (observer) observer.disconnect();
+    container.removeEventListener('animationend', onAnimationEnd);
+    document.removeEventListener('visibilitychange', onVisibilityChange);
+    window.removeEventListener('resize', onResize);
+    stopLocaleSync();
+    stage.destroy();
+    memeBackgrounds.delete(background);
+    console.log(`🧹 Meme background destroyed (seed ${seed})`);
+  };
+  
+  const background = {
+    container,
+    layer: stage.layer,
+    seed,
+    scheduler,
+    start, stop, pause, resume, setDensity, spawnMeme, clear, getState, destroy,
+    addEventListener: events.addEventListener.bind(events),
+    removeEventListener: events.removeEventListener.bind(events)
+  };
+  
+  memeBackgrounds.add(background);
+  scheduler.start();
+  console.log(`🎨 Meme background mounted (seed ${seed})`);
+  return background;
+};
+
+/**
+ * The page's background (mounted on document.body), its scheduler and the seed it was started with
+ */
+let pageBackground = null;
+let backgroundScheduler = null;
+let backgroundSeed = null;
+
+/**
+ * Mount the page's NFT background over the whole viewport
+ */
+const initRandomNFTBackgrounds = () => {
+  console.log('🎨 Initializing NFT background scheduler...');
+  
+  backgroundSeed = resolveBackgroundSeed();
+  console.log(`🎲 Background seed: ${backgroundSeed} (add ?seed=${backgroundSeed} to reproduce this layout)`);
+  
+  pageBackground = createMemeBackground(document.body, { seed: backgroundSeed, emit: emitTangEvent });
+  backgroundScheduler = pageBackground.scheduler;
+};
+
+// ===============================
+// PINNED MEMES
+// ===============================
+
+/**
+ * Read saved pins from localStorage, dropping anything malformed or no longer in the manifest.
+ * Positions are stored as fractions of the background's area so they survive a different window size.
+ */
+const loadPinnedMemes = () => {
+  let saved;
+  try {
+    saved = JSON.parse(localStorage.getItem(CONFIG.BACKGROUND.PINS.STORAGE_KEY) || '[]');
+  } catch (error) {
+    console.warn('⚠️ Could not read pinned memes:', error);
+    return [];
+  }
+  if (!Array.isArray(saved)) return [];
+  
+  const sizeClasses = Object.keys(getNFTSizeMap(window.innerWidth));
+  const isFraction = (value) => typeof value === 'number' && value >= 0 && value <= 1;
+  return saved
+    .filter(pin => pin && getMemeEntry(pin.filename) &&
+      sizeClasses.includes(pin.sizeClass) && isFraction(pin.x) && isFraction(pin.y))
+    .slice(0, CONFIG.BACKGROUND.PINS.MAX);
+};
+
+/**
+ * Save the currently pinned memes and where they sit
+ */
+const savePinnedMemes = () => {
+  if (!backgroundScheduler) return;
+  
+  const { width, height } = backgroundScheduler.getArea();
+  if (width <= 0 || height <= 0) return;
+  
+  const pins = backgroundScheduler.getPinnedElements()
+    .filter(element => element.positionRef)
+    .map(element => ({
+      filename: element.imageFilename,
+      sizeClass: element.sizeClass,
+      x: element.positionRef.x / width,
+      y: element.positionRef.y / height
+    }));
+  
+  try {
+    localStorage.setItem(CONFIG.BACKGROUND.PINS.STORAGE_KEY, JSON.stringify(pins));
+  } catch (error) {
+    console.warn('⚠️ Could not save pinned memes:', error);
+  }
+};
+
+/**
+ * Pin or unpin a background meme and persist the change.
+ * Returns false when pinning is refused because the cap is reached.
+ */
+const togglePinnedMeme = (element) => {
+  if (!backgroundScheduler) return false;
+  
+  if (backgroundScheduler.isPinned(element)) {
+    backgroundScheduler.unpin(element);
+    console.log(`📌 Unpinned meme: ${element.imageFilename}`);
+  } else if (backgroundScheduler.pin(element)) {
+    console.log(`📌 Pinned meme: ${element.imageFilename}`);
+  } else {
+    return false;
+  }
+  savePinnedMemes();
+  return true;
+};
+
+/**
+ * Bring back last visit's pins, at their old spots where those are still free.
+ * Needs the background scheduler, so runs after initRandomNFTBackgrounds().
+ */
+const restorePinnedMemes = () => {
+  const pins = loadPinnedMemes();
+  const { width, height } = backgroundScheduler.getArea();
+  let restored = 0;
+  
+  pins.forEach(pin => {
+    const element = backgroundScheduler.spawnNow({
+      filename: pin.filename,
+      sizeClass: pin.sizeClass,
+      at: { x: pin.x * width, y: pin.y * height }
+    });
+    if (element && backgroundScheduler.pin(element)) restored++;
+  });
+  
+  if (pins.length > 0) {
+    console.log(`📌 Restored ${restored}/${pins.length} pinned memes`);
+  }
+  
+  // Positions move with resizes and drift, so store the final ones on the way out
+  window.addEventListener('pagehide', savePinnedMemes);
+};
+
+// ===============================
+// MEME LIGHTBOX
+// ===============================
+
+/**
+ * Lightbox state: the meme on show, the background element it came from and
+ * the mounted background that element belongs to
+ */
+const lightboxState = {
+  entry: null,
+  element: null,
+  background: null,
+  lastFocus: null
+};
+
+/**
+ * Deep link back to this page with a meme featured (keeps ?seed= and friends)
+ */
+const getMemeLink = (filename) => {
+  const url = new URL(window.location.href);
+  url.searchParams.set('meme', filename);
+  url.hash = '';
+  return url.toString();
+};
+
+/**
+ * Reflect the lightbox meme's pin state on the Pin button (disabled when the
+ * meme isn't on the page background, e.g. a deep link with no room to feature
+ * it or a meme from an embedded background - pins are saved for the page only)
+ */
+const updateLightboxPinButton = () => {
+  const button = document.querySelector('#meme-lightbox .meme-lightbox-pin');
+  if (!button) return;
+  
+  const element = lightboxState.element;
+  const onPage = Boolean(element && backgroundScheduler && backgroundScheduler.has(element));
+  const pinned = onPage && backgroundScheduler.isPinned(element);
+  button.disabled = !onPage || !element.isConnected;
+  button.setAttribute('aria-pressed', String(pinned));
+  button.textContent = translate(pinned ? 'lightbox.unpin' : 'lightbox.pin');
+};
+
+/**
+ * Pin/unpin the meme shown in the lightbox
+ */
+const toggleLightboxPin = () => {
+  const lightbox = document.getElementById('meme-lightbox');
+  if (!lightbox || !lightboxState.element) return;
+  
+  const status = lightbox.querySelector('.meme-lightbox-status');
+  if (togglePinnedMeme(lightboxState.element)) {
+    status.textContent = translate(backgroundScheduler.isPinned(lightboxState.element)
+      ? 'lightbox.pinned'
+      : 'lightbox.unpinned');
+  } else {
+    status.textContent = translate('lightbox.pinLimit', { count: CONFIG.BACKGROUND.PINS.MAX });
+  }
+  updateLightboxPinButton();
+};
+
+/**
+ * Title, caption, alt text and share text for the lightbox's meme, in the
+ * current locale
+ */
+const fillLightboxText = (lightbox, entry) => {
+  const title = localizeText(entry.title) || entry.filename;
+  const alt = localizeText(entry.alt);
+  const link = getMemeLink(entry.filename);
+  
+  lightbox.querySelector('.meme-lightbox-image').alt = alt;
+  lightbox.querySelector('.meme-lightbox-title').textContent = title;
+  lightbox.querySelector('.meme-lightbox-caption').textContent = alt;
+  
+  const shareText = translate('lightbox.shareText', { title });
+  lightbox.querySelector('.meme-lightbox-share').href =
+    `https://x.com/intent/tweet?text=${encodeURIComponent(shareText)}&url=${encodeURIComponent(link)}`;
+};
+
+/**
+ * Show a manifest entry in the lightbox; while open, its background element
+ * (if any) is held so turnover and expiry leave it alone
+ */
+const openMemeLightbox = (entry, element = null, source = 'click') => {
+  const lightbox = document.getElementById('meme-lightbox');
+  if (!lightbox) return;
+  if (!lightbox.hidden) closeMemeLightbox({ restoreFocus: false });
+  
+  const src = `${CONFIG.MEME_DIR}/${entry.filename}`;
+  
+  const image = lightbox.querySelector('.meme-lightbox-image');
+  image.src = src;
+  image.width = entry.width;
+  image.height = entry.height;
+  lightbox.querySelector('.meme-lightbox-status').textContent = '';
+  fillLightboxText(lightbox, entry);
+  
+  const download = lightbox.querySelector('.meme-lightbox-download');
+  download.href = src;
+  download.setAttribute('download', entry.filename);
+  
+  lightboxState.entry = entry;
+  lightboxState.element = element;
+  lightboxState.background = element ? findMemeBackground(element) : null;
+  lightboxState.lastFocus = document.activeElement;
+  if (lightboxState.background) lightboxState.background.scheduler.hold(element);
+  updateLightboxPinButton();
+  
+  lightbox.hidden = false;
+  lightbox.querySelector('.meme-lightbox-close').focus();
+  console.log(`🔍 Opened meme: ${entry.filename}`);
+  trackEvent('meme_lightbox_open', { filename: entry.filename, source });
+};
+
+/**
+ * Hide the lightbox, release its meme back to the scheduler and restore focus
+ */
+const closeMemeLightbox = ({ restoreFocus = true } = {}) => {
+  const lightbox = document.getElementById('meme-lightbox');
+  if (!lightbox || lightbox.hidden) return;
+  
+  lightbox.hidden = true;
+  if (lightboxState.background) lightboxState.background.scheduler.unhold(lightboxState.element);
+  
+  const lastFocus = lightboxState.lastFocus;
+  lightboxState.entry = null;
+  lightboxState.element = null;
+  lightboxState.background = null;
+  lightboxState.lastFocus = null;
+  
+  if (restoreFocus && lastFocus && lastFocus.isConnected && lastFocus.focus) {
+    lastFocus.focus();
+  }
+};
+
+/**
+ * Copy the featured-meme link, falling back to showing it when the clipboard is unavailable
+ */
+const copyMemeLink = () => {
+  const lightbox = document.getElementById('meme-lightbox');
+  if (!lightbox || !lightboxState.entry) return;
+  
+  const status = lightbox.querySelector('.meme-lightbox-status');
+  const link = getMemeLink(lightboxState.entry.filename);
+  
+  if (!navigator.clipboard || !navigator.clipboard.writeText) {
+    status.textContent = link;
+    return;
+  }
+  navigator.clipboard.writeText(link)
+    .then(() => {
+      status.textContent = translate('lightbox.copied');
+    })
+    .catch(() => {
+      status.textContent = link;
+    });
+};
+
+/**
+ * Open the lightbox for a clicked (or keyboard-activated) background meme
+ */
+const openLightboxForElement = (element) => {
+  if (element.classList.contains('fade-out')) return;
+  const entry = getMemeEntry(element.imageFilename);
+  if (entry) openMemeLightbox(entry, element);
+};
+
+/**
+ * Wire background meme activation, lightbox controls and the ?meme= deep link.
+ * Needs the background scheduler, so runs after initRandomNFTBackgrounds().
+ */
+const setupMemeLightbox = () => {
+  const lightbox = document.getElementById('meme-lightbox');
+  if (!lightbox) return;
+  
+  // Delegated: memes come and go all the time (and embedded backgrounds open here too)
+  document.addEventListener('click', (e) => {
+    const meme = e.target.closest && e.target.closest('.random-nft-bg');
+    if (meme) openLightboxForElement(meme);
+  });
+  document.addEventListener('keydown', (e) => {
+    if (e.key !== 'Enter' && e.key !== ' ') return;
+    const meme = e.target.closest && e.target.closest('.random-nft-bg');
+    if (!meme) return;
+    e.preventDefault();
+    openLightboxForElement(meme);
+  });
+  
+  lightbox.querySelector('.meme-lightbox-close').addEventListener('click', () => closeMemeLightbox());
+  lightbox.querySelector('.meme-lightbox-copy').addEventListener('click', copyMemeLink);
+  lightbox.querySelector('.meme-lightbox-pin').addEventListener('click', toggleLightboxPin);
+  lightbox.addEventListener('click', (e) => {
+    if (e.target === lightbox) closeMemeLightbox();
+  });
+  lightbox.addEventListener('keydown', (e) => {
+    trapFocus(lightbox, e);
+    if (e.key === 'Escape') closeMemeLightbox();
+  });
+  
+  onLocaleChange(() => {
+    updateLightboxPinButton();
+    if (lightboxState.entry) fillLightboxText(lightbox, lightboxState.entry);
+  });
+  
+  // ?meme=<filename>: feature that meme in the background and open it
+  const featured = new URLSearchParams(window.location.search).get('meme');
+  if (!featured) return;
+  
+  const entry = getMemeEntry(featured);
+  if (!entry) {
+    console.warn(`⚠️ Featured meme not in manifest: ${featured}`);
+    return;
+  }
+  // It may already be on screen (e.g. a restored pin)
+  const existing = backgroundScheduler && backgroundScheduler.getElements()
+    .find(meme => meme.imageFilename === entry.filename && !meme.classList.contains('fade-out'));
+  const element = existing || (backgroundScheduler
+    ? backgroundScheduler.spawnNow({ filename: entry.filename, sizeClass: 'size-large' })
+    : null);
+  openMemeLightbox(entry, element, 'deep_link');
+};
+
+// ===============================
+// COLLECTION GALLERY
+// ===============================
+
+/**
+ * Gallery state (filtered/sorted view over docs/collection.json)
+ */
+const galleryState = {
+  items: [],
+  query: '',
+  sort: 'order',
+  page: 1,
+  loadPromise: null,
+  imageObserver: null,
+  lastFocus: null,
+  detailItem: null, // Shown in the detail panel
+  detailLastFocus: null // The tile that opened it
+};
+
+/**
+ * Flatten a Helius DAS asset into the fields the gallery displays
+ */
+const normalizeCollectionItem = (asset, index) => {
+  const content = asset.content || {};
+  const metadata = content.metadata || {};
+  const remoteImage = (content.links && content.links.image) ||
+    (content.files && content.files[0] && content.files[0].uri) || '';
+  
+  let image = remoteImage;
+  if (CONFIG.GALLERY.IMAGE_DIR && asset.id) {
+    // Same naming as scripts/download_nft_images.py: <mint><ext>
+    const extMatch = remoteImage.match(/[?&]ext=(\w+)/);
+    const ext = extMatch ? extMatch[1] : 'png';
+    image = `${CONFIG.GALLERY.IMAGE_DIR}/${asset.id}.${ext}`;
+  }
+  
+  return {
+    index,
+    id: asset.id,
+    name: metadata.name || 'Untitled',
+    description: metadata.description || '',
+    image,
+    owner: (asset.ownership && asset.ownership.owner) || '',
+    royaltyBps: asset.royalty ? asset.royalty.basis_points : null,
+    mutable: Boolean(asset.mutable),
+    burnt: Boolean(asset.burnt)
+  };
+};
+
+/**
+ * Load the bundled collection once; later calls reuse the same promise
+ */
+const loadCollection = () => {
+  if (!galleryState.loadPromise) {
+    galleryState.loadPromise = fetch(CONFIG.GALLERY.DATA_URL)
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`Collection request failed with status ${response.status}`);
+        }
+        return response.json();
+      })
+      .then(data => {
+        const assets = (data.result && data.result.items) || [];
+        galleryState.items = assets.map(normalizeCollectionItem);
+        console.log(`🖼️ Collection loaded: ${galleryState.items.length} Tangs`);
+        return galleryState.items;
+      })
+      .catch(error => {
+        // Allow a retry next time the gallery opens
+        galleryState.loadPromise = null;
+        throw error;
+      });
+  }
+  return galleryState.loadPromise;
+};
+
+/**
+ * Apply the current search query and sort order
+ */
+const getGalleryResults = () => {
+  const query = galleryState.query.trim().toLowerCase();
+  const results = query
+    ? galleryState.items.filter(item => item.name.toLowerCase().includes(query))
+    : galleryState.items.slice();
+  
+  if (galleryState.sort === 'name-asc') {
+    results.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+  } else if (galleryState.sort === 'name-desc') {
+    results.sort((a, b) => b.name.localeCompare(a.name, undefined, { numeric: true }));
+  } else {
+    results.sort((a, b) => a.index - b.index);
+  }
+  
+  return results;
+};
+
+/**
+ * Start loading a gallery image once its tile scrolls into view
+ */
+const observeGalleryImage = (img) => {
+  if (!('IntersectionObserver' in window)) {
+    img.src = img.dataset.src;
+    return;
+  }
+  
+  if (!galleryState.imageObserver) {
+    galleryState.imageObserver = new IntersectionObserver((entries, observer) => {
+      entries.forEach(entry => {
+        if (entry.isIntersecting) {
+          entry.target.src = entry.target.dataset.src;
+          observer.unobserve(entry.target);
+        }
+      });
+    }, { rootMargin: '200px' });
+  }
+  
+  galleryState.imageObserver.observe(img);
+};
+
+/**
+ * Render the current page of results into the gallery grid
+ */
+const renderGalleryPage = () => {
+  const grid = document.querySelector('.gallery-grid');
+  const status = document.querySelector('.gallery-status');
+  const pageInfo = document.querySelector('.gallery-page-info');
+  const prevBtn = document.querySelector('.gallery-prev');
+  const nextBtn = document.querySelector('.gallery-next');
+  if (!grid) return;
+  
+  const results = getGalleryResults();
+  const pageSize = CONFIG.GALLERY.PAGE_SIZE;
+  const pageCount = Math.max(1, Math.ceil(results.length / pageSize));
+  galleryState.page = Math.min(Math.max(1, galleryState.page), pageCount);
+  const start = (galleryState.page - 1) * pageSize;
+  const pageItems = results.slice(start, start + pageSize);
+  
+  if (galleryState.imageObserver) {
+    galleryState.imageObserver.disconnect();
+  }
+  grid.innerHTML = '';
+  
+  pageItems.forEach(item => {
+    const tile = document.createElement('button');
+    tile.type = 'button';
+    tile.className = 'gallery-item';
+    tile.setAttribute('aria-label', translate('gallery.viewDetails', { name: item.name }));
+    
+    const img = document.createElement('img');
+    img.alt = item.name;
+    img.dataset.src = item.image;
+    img.onerror = () => tile.classList.add('image-missing');
+    
+    const name = document.createElement('span');
+    name.className = 'gallery-item-name';
+    name.textContent = item.name;
+    
+    tile.appendChild(img);
+    tile.appendChild(name);
+    tile.addEventListener('click', () => openGalleryDetail(item));
+    grid.appendChild(tile);
+    
+    observeGalleryImage(img);
+  });
+  
+  if (status) {
+    status.textContent = results.length === 0
+      ? translate('gallery.noResults')
+      : translate('gallery.showing', { from: start + 1, to: start + pageItems.length, count: results.length });
+  }
+  if (pageInfo) pageInfo.textContent = translate('gallery.page', { page: galleryState.page, pageCount });
+  if (prevBtn) prevBtn.disabled = galleryState.page <= 1;
+  if (nextBtn) nextBtn.disabled = galleryState.page >= pageCount;
+};
+
+/**
+ * Fill the detail panel with one collection item, in the current locale
+ */
+const fillGalleryDetail = (detail, item) => {
+  detail.querySelector('.gallery-detail-image').src = item.image;
+  detail.querySelector('.gallery-detail-image').alt = item.name;
+  detail.querySelector('.gallery-detail-name').textContent = item.name;
+  detail.querySelector('.gallery-detail-description').textContent =
+    item.description || translate('gallery.noDescription');
+  detail.querySelector('[data-field="mint"]').textContent = item.id;
+  detail.querySelector('[data-field="owner"]').textContent = item.owner || translate('gallery.unknown');
+  detail.querySelector('[data-field="royalty"]').textContent = item.royaltyBps === null
+    ? translate('gallery.unknown')
+    : translate('gallery.royaltyBps', { bps: item.royaltyBps });
+  detail.querySelector('[data-field="mutable"]').textContent = translate(item.mutable ? 'common.yes' : 'common.no');
+  detail.querySelector('[data-field="burnt"]').textContent = translate(item.burnt ? 'common.yes' : 'common.no');
+};
+
+/**
+ * Show the detail panel for one collection item
+ */
+const openGalleryDetail = (item) => {
+  const detail = document.querySelector('.gallery-detail');
+  if (!detail) return;
+  
+  fillGalleryDetail(detail, item);
+  galleryState.detailItem = item;
+  galleryState.detailLastFocus = document.activeElement;
+  detail.hidden = false;
+  detail.querySelector('.gallery-detail-close').focus();
+};
+
+/**
+ * Hide the detail panel and return focus to the tile that opened it
+ */
+const closeGalleryDetail = ({ restoreFocus = true } = {}) => {
+  const detail = document.querySelector('.gallery-detail');
+  if (!detail || detail.hidden) return;
+  
+  detail.hidden = true;
+  const lastFocus = galleryState.detailLastFocus;
+  galleryState.detailLastFocus = null;
+  if (restoreFocus && lastFocus && lastFocus.isConnected && lastFocus.focus) {
+    lastFocus.focus();
+  }
+};
+
+/**
+ * Open the gallery and load the collection on first use
+ */
+const openGallery = () => {
+  const gallery = document.getElementById('gallery');
+  if (!gallery || !gallery.hidden) return;
+  
+  galleryState.lastFocus = document.activeElement;
+  gallery.hidden = false;
+  document.body.classList.add('gallery-open');
+  
+  const status = gallery.querySelector('.gallery-status');
+  if (status && galleryState.items.length === 0) status.textContent = translate('gallery.loading');
+  
+  loadCollection()
+    .then(renderGalleryPage)
+    .catch(error => {
+      console.warn('⚠️ Failed to load collection:', error);
+      if (status) status.textContent = translate('gallery.loadFailed');
+    });
+  
+  const search = gallery.querySelector('.gallery-search');
+  if (search) search.focus();
+};
+
+/**
+ * Close the gallery and return focus to where it was
+ */
+const closeGallery = () => {
+  const gallery = document.getElementById('gallery');
+  if (!gallery || gallery.hidden) return;
+  
+  closeGalleryDetail({ restoreFocus: false });
+  gallery.hidden = true;
+  document.body.classList.remove('gallery-open');
+  
+  if (window.location.hash === '#gallery') {
+    history.replaceState(null, '', window.location.pathname + window.location.search);
+  }
+  if (galleryState.lastFocus && galleryState.lastFocus.focus) {
+    galleryState.lastFocus.focus();
+  }
+};
+
+/**
+ * Wire gallery controls and #gallery routing
+ */
+const setupGallery = () => {
+  const gallery = document.getElementById('gallery');
+  if (!gallery) return;
+  
+  const search = gallery.querySelector('.gallery-search');
+  const sort = gallery.querySelector('.gallery-sort');
+  
+  if (search) {
+    search.addEventListener('input', () => {
+      galleryState.query = search.value;
+      galleryState.page = 1;
+      renderGalleryPage();
+    });
+  }
+  
+  if (sort) {
+    sort.addEventListener('change', () => {
+      galleryState.sort = sort.value;
+      galleryState.page = 1;
+      renderGalleryPage();
+    });
+  }
+  
+  gallery.querySelector('.gallery-prev')?.addEventListener('click', () => {
+    galleryState.page--;
+    renderGalleryPage();
+  });
+  gallery.querySelector('.gallery-next')?.addEventListener('click', () => {
+    galleryState.page++;
+    renderGalleryPage();
+  });
+  gallery.querySelector('.gallery-close')?.addEventListener('click', closeGallery);
+  gallery.querySelector('.gallery-detail-close')?.addEventListener('click', () => closeGalleryDetail());
+  
+  // Re-render what is open so counts, labels and details follow the locale
+  onLocaleChange(() => {
+    if (gallery.hidden || galleryState.items.length === 0) return;
+    renderGalleryPage();
+    const detail = gallery.querySelector('.gallery-detail');
+    if (detail && !detail.hidden && galleryState.detailItem) fillGalleryDetail(detail, galleryState.detailItem);
+  });
+  
+  // Both are modal: Tab stays in the detail panel while it is open, otherwise in the gallery
+  gallery.addEventListener('keydown', (e) => {
+    const detail = gallery.querySelector('.gallery-detail');
+    const detailOpen = detail && !detail.hidden;
+    trapFocus(detailOpen ? detail : gallery, e);
+    if (e.key !== 'Escape') return;
+    if (detailOpen) {
+      closeGalleryDetail();
+    } else {
+      closeGallery();
+    }
+  });
+  
+  const syncWithHash = () => {
+    if (window.location.hash === '#gallery') {
+      openGallery();
+    } else {
+      closeGallery();
+    }
+  };
+  window.addEventListener('hashchange', syncWithHash);
+  syncWithHash();
+};
+
+// ===============================
+// IMAGE PRELOADING
+// ===============================
+
+/**
+ * Page art that isn't part of a button; button art is added from BUTTON_MANIFEST
+ * by getPreloadManifest(). `timeoutMs` can override the per-priority default.
+ */
+const PRELOAD_ASSETS = [
+  { url: 'assets/images/header.png', priority: 'critical' }
+];
+
+/**
+ * The one list the preloader works from: button PNGs are critical (they are
+ * what the buttons show), button GIFs follow at high priority
+ */
+const getPreloadManifest = () => PRELOAD_ASSETS.concat(
+  getVisibleButtons().map(entry => ({ url: entry.png, priority: 'critical' })),
+  getVisibleButtons().map(entry => ({ url: entry.gif, priority: 'high' }))
+);
+
+/**
+ * Create the asset preloader. Priorities load in order (critical, high, low),
+ * each asset once with its own timeout. It is an EventTarget:
+ * - `progress` after every asset ({ url, priority, status, settled, total, failed })
+ * - `critical` once the critical assets have settled
+ * - `complete` once everything has, with the list of failures
+ */
+const createPreloader = ({ assets = getPreloadManifest(), config = CONFIG.PRELOAD } = {}) => {
+  const events = new EventTarget();
+  const results = [];
+  const settledByUrl = new Map(); // url -> promise of its result
+  let started = null;
+  
+  const emit = (type, detail) => events.dispatchEvent(new CustomEvent(type, { detail }));
+  
+  const getFailed = () => results.filter(result => result.status !== 'loaded');
+  
+  const summarize = (priority) => {
+    const relevant = priority ? results.filter(result => result.priority === priority) : results;
+    return {
+      loaded: relevant.filter(result => result.status === 'loaded').length,
+      failed: relevant.filter(result => result.status !== 'loaded').map(result => result.url)
+    };
+  };
+  
+  const loadAsset = (asset) => new Promise((resolve) => {
+    const startedAt = performance.now();
+    const image = new Image();
+    let timeoutId = null;
+    
+    const finish = (status) => {
+      clearTimeout(timeoutId);
+      image.onload = null;
+      image.onerror = null;
+      resolve({ url: asset.url, priority: asset.priority, status, ms: Math.round(performance.now() - startedAt) });
+    };
+    
+    image.onload = () => finish('loaded');
+    image.onerror = () => finish('failed');
+    timeoutId = setTimeout(() => finish('timeout'), asset.timeoutMs || config.TIMEOUT_MS[asset.priority]);
+    image.src = asset.url;
+  }).then(result => {
+    results.push(result);
+    addBreadcrumb('preload', `${result.status === 'loaded' ? 'Loaded' : result.status === 'timeout' ? 'Timed out' : 'Failed'} ${result.url}`);
+    emit('progress', {
+      ...result,
+      settled: results.length,
+      total: assets.length,
+      failed: getFailed().length
+    });
+    return result;
+  });
+  
+  const loadPriority = (priority) => Promise.all(
+    assets.filter(asset => asset.priority === priority).map(asset => {
+      const promise = loadAsset(asset);
+      settledByUrl.set(asset.url, promise);
+      return promise;
+    })
+  );
+  
+  const start = () => {
+    if (started) return started;
+    
+    const critical = loadPriority('critical').then(() => {
+      const summary = summarize('critical');
+      emit('critical', summary);
+      return summary;
+    });
+    
+    const complete = critical
+      .then(() => loadPriority('high'))
+      .then(() => loadPriority('low'))
+      .then(() => {
+        const summary = summarize();
+        emit('complete', summary);
+        return summary;
+      });
+    
+    started = { critical, complete };
+    return started;
+  };
+  
+  // Resolves once an asset has settled (loaded, failed or timed out), or right away if it isn't listed
+  const whenSettled = (url) => {
+    if (!assets.some(asset => asset.url === url)) return Promise.resolve(null);
+    if (settledByUrl.has(url)) return settledByUrl.get(url);
+    return new Promise(resolve => {
+      const onProgress = (event) => {
+        if (event.detail.url !== url) return;
+        events.removeEventListener('progress', onProgress);
+        resolve(event.detail);
+      };
+      events.addEventListener('progress', onProgress);
+    });
+  };
+  
+  return {
+    start,
+    whenSettled,
+    getAssets: () => assets.slice(),
+    getResults: () => results.slice(),
+    addEventListener: events.addEventListener.bind(events),
+    removeEventListener: events.removeEventListener.bind(events)
+  };
+};
+
+/**
+ * The page's preloader (created in initApp)
+ */
+let assetPreloader = null;
+
+/**
+ * Show subtle loading state during preloading
+ */
+const showLoadingState = () => {
+  // Temporarily disable button interactions during preloading
+  const buttons = document.querySelectorAll('.circular-btn');
+  buttons.forEach(btn => {
+    btn.style.pointerEvents = 'none';
+    btn.style.opacity = '0.7';
+    btn.setAttribute('data-preloading', 'true');
+  });
+  
+  console.log('🔒 Buttons disabled during preloading...');
+};
+
+/**
+ * Hide loading state and enable full interactions
+ */
+const hideLoadingState = () => {
+  // Re-enable button interactions after preloading
+  const buttons = document.querySelectorAll('.circular-btn[data-preloading="true"]');
+  buttons.forEach(btn => {
+    btn.style.pointerEvents = '';
+    btn.style.opacity = '';
+    btn.removeAttribute('data-preloading');
+  });
+  
+  console.log('🔓 Buttons fully enabled with preloaded assets!');
+};
+
+// ===============================
+// LOADING OVERLAY
+// ===============================
+
+/**
+ * When the overlay went up (null while it isn't showing)
+ */
+let loadingOverlayShownAt = null;
+
+/**
+ * Visitors who have loaded the critical assets before most likely have them cached
+ */
+const isReturningVisitor = () => {
+  try {
+    return localStorage.getItem(CONFIG.LOADING.STORAGE_KEY) === '1';
+  } catch (error) {
+    return false;
+  }
+};
+
+const markReturningVisitor = () => {
+  try {
+    localStorage.setItem(CONFIG.LOADING.STORAGE_KEY, '1');
+  } catch (error) {
+    // Private mode etc. - they just see the overlay again next time
+  }
+};
+
+/**
+ * Show the loading overlay (a progress bar over the page background)
+ */
+const showInitialLoadingOverlay = () => {
+  const overlay = document.getElementById('loading-overlay');
+  if (!overlay) return;
+  overlay.classList.remove('hidden');
+  overlay.style.display = 'flex';
+  loadingOverlayShownAt = performance.now();
+};
+
+/**
+ * Take the overlay down at once, without the fade (returning visitors)
+ */
+const skipInitialLoadingOverlay = () => {
+  const overlay = document.getElementById('loading-overlay');
+  if (!overlay) return;
+  overlay.classList.add('hidden');
+  overlay.style.display = 'none';
+  loadingOverlayShownAt = null;
+};
+
+/**
+ * Fade the overlay out, once it has been up for at least CONFIG.LOADING.MIN_MS
+ */
+const hideInitialLoadingOverlay = () => {
+  const overlay = document.getElementById('loading-overlay');
+  if (!overlay || loadingOverlayShownAt === null) return;
+  const remainingMs = Math.max(0, CONFIG.LOADING.MIN_MS - (performance.now() - loadingOverlayShownAt));
+  loadingOverlayShownAt = null;
+  setTimeout(() => {
+    overlay.classList.add('hidden');
+    setTimeout(() => {
+      overlay.style.display = 'none';
+    }, CONFIG.LOADING.FADE_MS);
+  }, remainingMs);
+};
+
+/**
+ * Show how far along the critical assets are (0-1)
+ */
+const updateLoadingProgress = (fraction) => {
+  const percent = Math.round(fraction * 100);
+  const progress = document.querySelector('.loading-progress');
+  const bar = document.querySelector('.loading-progress-bar');
+  const label = document.querySelector('.loading-percent');
+  if (progress) progress.setAttribute('aria-valuenow', String(percent));
+  if (bar) bar.style.width = `${percent}%`;
+  if (label) label.textContent = `${percent}%`;
+};
+
+/**
+ * Screen reader announcement for the loading state (start and end only, not every asset)
+ */
+const announceLoading = (message) => {
+  const status = document.querySelector('.loading-status');
+  if (status) status.textContent = message;
+};
+
+/**
+ * Tell the visitor the page was revealed before everything it needs was in
+ */
+const showLoadingNotice = (reason) => {
+  if (document.querySelector('.loading-notice')) return;
+  
+  const notice = document.createElement('div');
+  notice.className = 'loading-notice';
+  notice.setAttribute('role', 'status');
+  notice.innerHTML = `
+    <p data-i18n="${reason === 'timeout' ? 'loading.noticeTimeout' : 'loading.noticeFailed'}"></p>
+    <button type="button" data-i18n-aria-label="loading.dismiss">×</button>
+  `;
+  translatePage(notice);
+  notice.querySelector('button').addEventListener('click', () => notice.remove());
+  document.body.appendChild(notice);
+};
+
+/**
+ * Drive the overlay from the preloader's critical assets. Returns reveal(reason),
+ * which runs onReveal once: 'loaded', 'failed' (some critical asset didn't load)
+ * or 'timeout' (called by itself after CONFIG.LOADING.MAX_MS). Returning visitors
+ * never see the overlay unless loading takes longer than CACHED_GRACE_MS
+ */
+const trackLoadingOverlay = (preloader, onReveal) => {
+  const config = CONFIG.LOADING;
+  const criticalUrls = new Set(preloader.getAssets()
+    .filter(asset => asset.priority === 'critical')
+    .map(asset => asset.url));
+  let settled = 0;
+  let revealed = false;
+  let graceTimeoutId = null;
+  let maxTimeoutId = null;
+  
+  const onProgress = (event) => {
+    if (!criticalUrls.has(event.detail.url)) return;
+    settled++;
+    updateLoadingProgress(settled / criticalUrls.size);
+  };
+  
+  const reveal = (reason) => {
+    if (revealed) return;
+    revealed = true;
+    clearTimeout(graceTimeoutId);
+    clearTimeout(maxTimeoutId);
+    preloader.removeEventListener('progress', onProgress);
+    
+    const degraded = reason !== 'loaded';
+    if (degraded) {
+      console.warn(`⚠️ Revealing the page before its critical assets loaded (${reason})`);
+      addBreadcrumb('preload', `Page revealed degraded (${reason})`);
+      announceLoading(translate('loading.degraded'));
+    } else {
+      markReturningVisitor();
+      announceLoading(translate('loading.done'));
+    }
+    
+    hideInitialLoadingOverlay();
+    onReveal({ reason, degraded });
+    if (degraded) showLoadingNotice(reason);
+  };
+  
+  preloader.addEventListener('progress', onProgress);
+  updateLoadingProgress(0);
+  
+  if (isReturningVisitor()) {
+    skipInitialLoadingOverlay();
+    graceTimeoutId = setTimeout(() => {
+      console.log('⏳ Cached assets are slow, showing the loading overlay');
+      showInitialLoadingOverlay();
+      announceLoading(translate('loading.started'));
+    }, config.CACHED_GRACE_MS);
+  } else {
+    showInitialLoadingOverlay();
+    announceLoading(translate('loading.started'));
+  }
+  
+  maxTimeoutId = setTimeout(() => reveal('timeout'), config.MAX_MS);
+  
+  return reveal;
+};
+
+// ===============================
+// OFFLINE SUPPORT
+// ===============================
+
+/**
+ * Memes in the service worker's cache, checked whenever the connection drops
+ * (null until the first check)
+ */
+let cachedMemeFilenames = null;
+
+const isOffline = () => navigator.onLine === false;
+
+/**
+ * Memes that can be shown right now: all of them online, only the cached ones offline
+ */
+const getLoadableMemeFilenames = () => {
+  const allFilenames = memeManifest.map(entry => entry.filename);
+  if (!isOffline() || cachedMemeFilenames === null) return allFilenames;
+  return allFilenames.filter(filename => cachedMemeFilenames.has(filename));
 };
 
 /**
- * Force turnover with overlapping fade transitions
+ * Ask the caches which memes they hold
  */
-const forceNFTTurnover = () => {
-  const existingNFTs = document.querySelectorAll('.random-nft-bg:not(.fade-out)');
-  if (existingNFTs.length === 0) return;
-  
-  // Remove a random NFT to make room for a new one
-  const randomIndex = Math.floor(Math.random() * existingNFTs.length);
-  const nftToRemove = existingNFTs[randomIndex];
+const refreshCachedMemes = () => {
+  if (!window.caches) return Promise.resolve(null);
   
-  console.log(`🔄 Smooth turnover: remove then add if under cap`);
-  
-  // First remove, then add if under cap
-  removeNFTElement(nftToRemove);
-  setTimeout(() => {
-    const countAfter = document.querySelectorAll('.random-nft-bg:not(.fade-out)').length;
-    if (countAfter < 4) {
-      const newElement = createRandomNFTElement();
-      if (newElement) {
-        document.body.appendChild(newElement);
-      }
-    }
-  }, 600);
+  return Promise.all(memeManifest.map(entry =>
+    caches.match(`${CONFIG.MEME_DIR}/${entry.filename}`).then(response => (response ? entry.filename : null))
+  )).then(filenames => {
+    cachedMemeFilenames = new Set(filenames.filter(Boolean));
+    return cachedMemeFilenames;
+  });
 };
 
 /**
- * Clean up all NFT backgrounds and tracking arrays
+ * Register the service worker and hand it the button art to precache
  */
-const cleanupAllNFTs = () => {
-  const existingNFTs = document.querySelectorAll('.random-nft-bg');
-  existingNFTs.forEach(nft => removeNFTElement(nft));
-  activeNFTPositions.length = 0; // Clear position array
-  activeNFTImages.clear(); // Clear image tracking set
+const registerServiceWorker = () => {
+  navigator.serviceWorker.register(CONFIG.OFFLINE.SERVICE_WORKER_URL)
+    .then(() => navigator.serviceWorker.ready)
+    .then(registration => {
+      registration.active.postMessage({
+        type: 'PRECACHE',
+        urls: getPreloadManifest().map(asset => asset.url)
+      });
+      console.log('📴 Service worker ready, page works offline');
+    })
+    .catch(error => {
+      console.warn('⚠️ Service worker registration failed:', error);
+    });
 };
 
 /**
- * Start the high-frequency NFT background system
+ * Offline support: register the worker once the page has loaded (so it doesn't
+ * compete with the preloader) and keep the background to cached memes offline
  */
-const initRandomNFTBackgrounds = () => {
-  console.log('🎨 Initializing high-frequency NFT backgrounds (5-6 images)...');
+const setupOfflineSupport = () => {
+  if (!CONFIG.FEATURES.OFFLINE || !('serviceWorker' in navigator)) return;
   
-  // Slower initial setup - half the speed
-  setTimeout(() => {
-    addRandomNFTBackgrounds(); // First wave
-  }, 1000);
+  if (document.readyState === 'complete') {
+    registerServiceWorker();
+  } else {
+    window.addEventListener('load', registerServiceWorker, { once: true });
+  }
+  
+  window.addEventListener('offline', () => {
+    addBreadcrumb('network', 'Went offline');
+    refreshCachedMemes().then(cached => {
+      if (cached) console.log(`📴 Offline, background limited to ${cached.size} cached memes`);
+    });
+  });
+  window.addEventListener('online', () => {
+    addBreadcrumb('network', 'Back online');
+    console.log('🌐 Back online, all memes available again');
+  });
+};
 
-  // Second wave slower
-  setTimeout(() => {
-    addRandomNFTBackgrounds(); // Second wave
-  }, 3000);
+// ===============================
+// PERFORMANCE MONITORING
+// ===============================
 
-  // Third wave to reach target
-  setTimeout(() => {
-    addRandomNFTBackgrounds(); // Third wave
-  }, 6000);
+/**
+ * Web vitals for this page view, filled in by PerformanceObserver
+ */
+const webVitals = {
+  lcp: null, // Largest Contentful Paint (ms)
+  cls: 0, // Cumulative Layout Shift (largest session window)
+  inp: null, // Interaction to Next Paint (ms)
+  longTasks: 0,
+  blockingTime: 0 // Sum of long task time past 50ms
+};
 
-  // Fourth wave to ensure full population
-  setTimeout(() => {
-    addRandomNFTBackgrounds(); // Fourth wave
-  }, 10000);
-  
-  // Slower maintenance checks - half speed
-  setInterval(() => {
-    maintainMinimumNFTs();
-  }, 10000); // Check every 10 seconds (reduced frequency)
-  
-  // Continuous passive overlap resolver
-  setInterval(() => {
-    resolveOverlaps();
-  }, CONFIG.OVERLAP_RESOLVE_INTERVAL_MS);
-  
-  // Slower periodic additions for calmer feel (respect cap)
-  setInterval(() => {
-    const activeCount = document.querySelectorAll('.random-nft-bg:not(.fade-out)').length;
-    if (activeCount < 4) addRandomNFTBackgrounds();
-  }, 24000);
-  
-  // Additional variety timer - slower
-  setInterval(() => {
-    const currentCount = document.querySelectorAll('.random-nft-bg:not(.fade-out)').length;
-    if (currentCount < 4) { // Add more if we have room (cap respected)
-      if (Math.random() > 0.6) { // 40% chance every 16 seconds
-        addRandomNFTBackgrounds();
-      }
-    }
-  }, 16000); // Doubled from 8 seconds
-  
-  // Slower turnover system when at max capacity
-  setInterval(() => {
-    const currentCount = document.querySelectorAll('.random-nft-bg:not(.fade-out)').length;
-    if (currentCount >= 5) {
-      forceNFTTurnover();
-    }
-  }, 7000); // Doubled from 3.5 seconds for calmer variety
+/**
+ * Observe one entry type if the browser supports it
+ */
+const observeEntries = (type, callback, options = {}) => {
+  const supported = window.PerformanceObserver && PerformanceObserver.supportedEntryTypes;
+  if (!supported || !supported.includes(type)) return;
+  new PerformanceObserver(list => list.getEntries().forEach(callback))
+    .observe({ type, buffered: true, ...options });
+};
+
+/**
+ * Track LCP, CLS, INP and long tasks into webVitals
+ */
+const observeWebVitals = () => {
+  observeEntries('largest-contentful-paint', entry => {
+    webVitals.lcp = Math.round(entry.startTime);
+  });
   
-  // Additional slower turnover for gentle dynamism
-  setInterval(() => {
-    const currentCount = document.querySelectorAll('.random-nft-bg').length;
-    if (currentCount >= 5) { // Even when almost at capacity
-      if (Math.random() > 0.6) { // 40% chance every 8 seconds
-        console.log('🎨 Gentle turnover triggered for variety');
-        forceNFTTurnover();
-      }
+  // CLS: shifts are grouped into windows (gaps under 1s, at most 5s long); the worst window counts
+  let windowValue = 0;
+  let windowStart = 0;
+  let lastShift = 0;
+  observeEntries('layout-shift', entry => {
+    if (entry.hadRecentInput) return;
+    if (entry.startTime - lastShift > 1000 || entry.startTime - windowStart > 5000) {
+      windowValue = 0;
+      windowStart = entry.startTime;
     }
-  }, 8000); // Doubled from 4 seconds
+    windowValue += entry.value;
+    lastShift = entry.startTime;
+    webVitals.cls = Math.max(webVitals.cls, Number(windowValue.toFixed(4)));
+  });
   
-  // Backup maintenance check with updated thresholds - slower
-  setInterval(() => {
-    const currentCount = document.querySelectorAll('.random-nft-bg').length;
-    console.log(`🎨 Health check: ${currentCount} NFTs currently active`);
-    if (currentCount < 3) { // Updated threshold for new limits
-      console.log('🎨 Critical: NFT count low, emergency replenishment!');
-      addRandomNFTBackgrounds();
-    }
-  }, 20000); // Every 20 seconds (doubled from 10)
+  // INP: slowest interaction, ignoring one outlier per 50 interactions
+  const interactions = new Map(); // interactionId -> longest duration
+  observeEntries('event', entry => {
+    if (!entry.interactionId) return;
+    interactions.set(entry.interactionId,
+      Math.max(interactions.get(entry.interactionId) || 0, entry.duration));
+    const durations = Array.from(interactions.values()).sort((a, b) => b - a);
+    webVitals.inp = durations[Math.min(Math.floor(durations.length / 50), durations.length - 1)];
+  }, { durationThreshold: 40 });
   
-  // Add NFTs on user interaction with slower, calmer logic
-  let interactionCooldown = false;
-  document.addEventListener('click', () => {
-    if (!interactionCooldown) {
-      setTimeout(() => {
-        const currentCount = document.querySelectorAll('.random-nft-bg:not(.fade-out)').length;
-        if (currentCount < 4) { // Threshold with active count
-          addRandomNFTBackgrounds();
-        }
-      }, 1000); // Doubled delay from 500ms
-      interactionCooldown = true;
-      setTimeout(() => interactionCooldown = false, 6000); // 6 second cooldown (doubled)
-    }
+  observeEntries('longtask', entry => {
+    webVitals.longTasks++;
+    webVitals.blockingTime += Math.max(0, Math.round(entry.duration - 50));
   });
+};
+
+/**
+ * Log the vitals against the "good" thresholds and send them to analytics
+ */
+const reportWebVitals = () => {
+  const { lcp, cls, inp } = CONFIG.PERFORMANCE.BUDGETS;
+  console.log('📈 Web vitals:', { ...webVitals, quality: backgroundQuality.name });
   
-  // Handle window resize - clean up and restart slowly
-  let resizeTimeout;
-  window.addEventListener('resize', () => {
-    clearTimeout(resizeTimeout);
-    resizeTimeout = setTimeout(() => {
-      console.log('🔄 Window resized, cleaning up NFT positions...');
-      cleanupAllNFTs();
-      // Slower restart after resize to match the calmer pace
-      setTimeout(addRandomNFTBackgrounds, 1000);
-      setTimeout(addRandomNFTBackgrounds, 3000);
-      setTimeout(addRandomNFTBackgrounds, 5000);
-    }, 2000); // Doubled from 1000ms
-  });
+  if (webVitals.lcp !== null && webVitals.lcp > lcp) console.warn(`LCP ${webVitals.lcp}ms exceeds ${lcp}ms`);
+  if (webVitals.cls > cls) console.warn(`CLS ${webVitals.cls} exceeds ${cls}`);
+  if (webVitals.inp !== null && webVitals.inp > inp) console.warn(`INP ${webVitals.inp}ms exceeds ${inp}ms`);
+  
+  trackEvent('web_vitals', { ...webVitals, quality: backgroundQuality.name });
 };
 
-// ===============================
-// IMAGE PRELOADING
-// ===============================
+/**
+ * Current background quality tier (index into CONFIG.PERFORMANCE.TIERS)
+ */
+let qualityTier = 0;
+let backgroundQuality = CONFIG.PERFORMANCE.TIERS[0];
 
 /**
- * Enhanced GIF preloading with cache warming and verification
+ * Apply a quality tier to every mounted background: future spawns read backgroundQuality,
+ * and memes already on screen follow it both ways - a worse tier stops their floating
+ * and shrinks them, a better one restores what they rolled (growing only where there's room)
  */
-const preloadGifAnimations = () => {
-  const gifImages = [
-    'assets/images/token.gif',
-    'assets/images/X.gif', 
-    'assets/images/radio.gif',
-    'assets/images/meme_depot.gif'
-  ];
+const setBackgroundQuality = (tier) => {
+  const tiers = CONFIG.PERFORMANCE.TIERS;
+  qualityTier = Math.min(Math.max(tier, 0), tiers.length - 1);
+  backgroundQuality = tiers[qualityTier];
+  document.body.dataset.quality = backgroundQuality.name;
   
-  console.log('🎬 Enhanced GIF preloading started...');
-  
-  // Create multiple preload strategies for maximum reliability
-  const promises = gifImages.map(imageSrc => {
-    return new Promise((resolve) => {
-      let loadedCount = 0;
-      const targetLoads = 2; // Load multiple times to ensure caching
-      
-      const markAsLoaded = () => {
-        loadedCount++;
-        if (loadedCount >= targetLoads) {
-          console.log(`✅ Fully cached: ${imageSrc}`);
-          resolve(imageSrc);
-        }
-      };
-      
-      // Method 1: Traditional Image object preload
-      const img1 = new Image();
-      img1.crossOrigin = 'anonymous'; // Ensure proper caching
-      img1.onload = markAsLoaded;
-      img1.onerror = () => {
-        console.warn(`⚠️ Method 1 failed for: ${imageSrc}`);
-        markAsLoaded(); // Still count it to prevent hanging
-      };
-      img1.src = imageSrc;
-      
-      // Method 2: Fetch with explicit cache instruction
-      fetch(imageSrc, { 
-        method: 'GET',
-        cache: 'force-cache',
-        mode: 'no-cors'
-      })
-      .then(() => {
-        console.log(`📦 Fetch cached: ${imageSrc}`);
-        markAsLoaded();
-      })
-      .catch(() => {
-        console.warn(`⚠️ Fetch failed for: ${imageSrc}`);
-        markAsLoaded(); // Still count it
-      });
-      
-      // Fallback timeout to prevent hanging
-      setTimeout(() => {
-        if (loadedCount < targetLoads) {
-          console.log(`⏰ Timeout fallback for: ${imageSrc}`);
-          resolve(imageSrc);
-        }
-      }, 5000); // 5 second timeout
+  memeBackgrounds.forEach(background => {
+    background.scheduler.getElements().forEach(element => {
+      if (element.classList.contains('fade-out')) return;
+      element.classList.toggle('floating', element.floats && backgroundQuality.floating && !motionPolicy.calm);
+      const { sizes } = backgroundQuality;
+      background.scheduler.resize(element, sizes.includes(element.preferredSizeClass) ? element.preferredSizeClass : sizes[0]);
     });
   });
   
-  return Promise.all(promises).then(() => {
-    // Additional cache warming: create invisible elements with background images
-    return warmCacheWithBackgroundImages();
-  });
+  addBreadcrumb('performance', `Quality tier ${backgroundQuality.name}`);
 };
 
 /**
- * Create invisible elements with background images to ensure browser cache warming
+ * Decide tier changes from FPS samples: step down after DEGRADE_SAMPLES slow
+ * samples in a row, back up after RECOVER_SAMPLES smooth ones. `onChange`
+ * receives the new tier index.
  */
-const warmCacheWithBackgroundImages = () => {
-  return new Promise((resolve) => {
-    const gifImages = ['token.gif', 'X.gif', 'radio.gif', 'meme_depot.gif'];
-    const cacheWarmer = document.createElement('div');
-    cacheWarmer.style.cssText = `
-      position: absolute;
-      top: -9999px;
-      left: -9999px;
-      width: 1px;
-      height: 1px;
-      opacity: 0;
-      pointer-events: none;
-    `;
-    
-    gifImages.forEach((gif, index) => {
-      const warmerDiv = document.createElement('div');
-      warmerDiv.style.cssText = `
-        width: 100px;
-        height: 100px;
-        background-image: url('${gif}');
-        background-size: contain;
-        background-repeat: no-repeat;
-        background-position: center;
-      `;
-      cacheWarmer.appendChild(warmerDiv);
-    });
-    
-    document.body.appendChild(cacheWarmer);
+const createQualityGovernor = ({ config = CONFIG.PERFORMANCE, onChange }) => {
+  let tier = 0;
+  let slow = 0;
+  let smooth = 0;
+  let lastFps = null;
+  
+  const sample = (fps) => {
+    lastFps = fps;
+    slow = fps < config.DEGRADE_FPS ? slow + 1 : 0;
+    smooth = fps >= config.RECOVER_FPS ? smooth + 1 : 0;
     
-    // Let the browser process the background images
-    setTimeout(() => {
-      console.log('🔥 Cache warmed with background images');
-      // Keep the cache warmer for a moment, then remove
-      setTimeout(() => {
-        if (cacheWarmer.parentNode) {
-          cacheWarmer.remove();
-        }
-        resolve();
-      }, 1000);
-    }, 200);
-  });
+    if (slow >= config.DEGRADE_SAMPLES && tier < config.TIERS.length - 1) {
+      tier++;
+      slow = 0;
+      onChange(tier);
+    } else if (smooth >= config.RECOVER_SAMPLES && tier > 0) {
+      tier--;
+      smooth = 0;
+      onChange(tier);
+    }
+  };
+  
+  const getState = () => ({ tier, name: config.TIERS[tier].name, fps: lastFps });
+  
+  return { sample, getState };
 };
 
 /**
- * Show subtle loading state during preloading
+ * Count frames with requestAnimationFrame and report FPS every FPS_SAMPLE_MS.
+ * Samples that span a paused or hidden stretch are thrown away.
  */
-const showLoadingState = () => {
-  // Temporarily disable button interactions during preloading
-  const buttons = document.querySelectorAll('.circular-btn');
-  buttons.forEach(btn => {
-    btn.style.pointerEvents = 'none';
-    btn.style.opacity = '0.7';
-    btn.setAttribute('data-preloading', 'true');
-  });
+const createFpsSampler = ({ onSample, isPaused = () => false, config = CONFIG.PERFORMANCE }) => {
+  let frameId = null;
+  let windowStart = null;
+  let frames = 0;
   
-  console.log('🔒 Buttons disabled during preloading...');
+  const frame = (timestamp) => {
+    frameId = requestAnimationFrame(frame);
+    if (isPaused() || document.hidden) {
+      windowStart = null;
+      return;
+    }
+    if (windowStart === null) {
+      windowStart = timestamp;
+      frames = 0;
+      return;
+    }
+    
+    frames++;
+    const elapsed = timestamp - windowStart;
+    if (elapsed >= config.FPS_SAMPLE_MS) {
+      // A gap much longer than the window means the tab was throttled, not slow
+      if (elapsed < config.FPS_SAMPLE_MS * 2) onSample((frames * 1000) / elapsed);
+      windowStart = timestamp;
+      frames = 0;
+    }
+  };
+  
+  const start = () => {
+    if (frameId === null) frameId = requestAnimationFrame(frame);
+  };
+  
+  const stop = () => {
+    if (frameId !== null) {
+      cancelAnimationFrame(frameId);
+      frameId = null;
+    }
+  };
+  
+  return { start, stop };
 };
 
+let qualityGovernor = null;
+
 /**
- * Hide loading state and enable full interactions
+ * Watch the frame rate while the background runs and adapt its quality tier.
+ * Needs the page background, so runs after initRandomNFTBackgrounds(); sampling
+ * skips stopped, paused and calm stretches and ends once the background is destroyed.
  */
-const hideLoadingState = () => {
-  // Re-enable button interactions after preloading
-  const buttons = document.querySelectorAll('.circular-btn[data-preloading="true"]');
-  buttons.forEach(btn => {
-    btn.style.pointerEvents = '';
-    btn.style.opacity = '';
-    btn.removeAttribute('data-preloading');
+const setupAdaptiveQuality = () => {
+  qualityGovernor = createQualityGovernor({
+    onChange: (tier) => {
+      const previous = backgroundQuality.name;
+      setBackgroundQuality(tier);
+      console.log(`🎚️ Background quality: ${previous} -> ${backgroundQuality.name}`);
+    }
   });
   
-  console.log('🔓 Buttons fully enabled with preloaded assets!');
+  const sampler = createFpsSampler({
+    onSample: qualityGovernor.sample,
+    isPaused: () => {
+      if (!memeBackgrounds.has(pageBackground)) {
+        sampler.stop();
+        return true;
+      }
+      const { running, paused } = pageBackground.getState();
+      return !running || paused || motionPolicy.calm;
+    }
+  });
+  sampler.start();
 };
 
 /**
- * Initial loading overlay control (shows loading2.gif for ~1–2s)
+ * Current quality tier and frame rate, for debugging (also on window.TangCollection)
  */
-const showInitialLoadingOverlay = () => {
-  const overlay = document.getElementById('loading-overlay');
-  if (!overlay) return;
-  overlay.classList.remove('hidden');
-  overlay.style.display = 'flex';
-};
-
-const hideInitialLoadingOverlay = () => {
-  const overlay = document.getElementById('loading-overlay');
-  if (!overlay) return;
-  // Ensure minimum visible time between 1–2 seconds
-  const minMs = 1000 + Math.floor(Math.random() * 600); // 1000–1600ms
-  setTimeout(() => {
-    overlay.classList.add('hidden');
-    setTimeout(() => {
-      overlay.style.display = 'none';
-    }, 450);
-  }, minMs);
-};
-
-// ===============================
-// PERFORMANCE MONITORING
-// ===============================
+const getPerformanceState = () => ({
+  ...(qualityGovernor ? qualityGovernor.getState() : { tier: qualityTier, name: backgroundQuality.name, fps: null }),
+  vitals: { ...webVitals }
+});
 
 /**
- * Basic performance monitoring
+ * Performance monitoring: page load time, web vitals (reported once the page is first hidden)
  */
 const monitorPerformance = () => {
   // Log page load time
   window.addEventListener('load', () => {
-    const loadTime = performance.timing.loadEventEnd - performance.timing.navigationStart;
-    console.log(`Page load time: ${loadTime}ms`);
-    
-    // Performance budget check (aim for under 1 second)
-    if (loadTime > 1000) {
-      console.warn('Page load time exceeds 1 second');
-    }
+    // Wait a tick so loadEventEnd is filled in
+    setTimeout(() => {
+      const navigation = performance.getEntriesByType && performance.getEntriesByType('navigation')[0];
+      if (!navigation) return;
+      const loadTime = Math.round(navigation.loadEventEnd);
+      console.log(`Page load time: ${loadTime}ms`);
+      
+      // Performance budget check (aim for under 1 second)
+      if (loadTime > 1000) {
+        console.warn('Page load time exceeds 1 second');
+      }
+    }, 0);
   });
   
-  // Monitor button click responsiveness
-  let clickStartTime;
-  document.addEventListener('mousedown', () => {
-    clickStartTime = performance.now();
-  });
+  observeWebVitals();
   
-  document.addEventListener('click', () => {
-    if (clickStartTime) {
-      const clickTime = performance.now() - clickStartTime;
-      if (clickTime > 100) {
-        console.warn(`Slow click response: ${clickTime.toFixed(2)}ms`);
-      }
+  let reported = false;
+  document.addEventListener('visibilitychange', () => {
+    if (document.hidden && !reported) {
+      reported = true;
+      reportWebVitals();
     }
   });
 };
@@ -1146,17 +4720,128 @@ const monitorPerformance = () => {
 // ===============================
 
 /**
- * Global error handler
+ * Create the error reporter. It keeps a ring of recent breadcrumbs (clicks,
+ * meme spawns, preload results...) that is attached to every report, sends a
+ * given error fingerprint at most once per DEDUPE_WINDOW_MS and no more than
+ * MAX_REPORTS_PER_MINUTE reports overall.
+ */
+const createErrorReporter = ({
+  transport = createTransport(CONFIG.ERRORS, 'Error report'),
+  config = CONFIG.ERRORS,
+  clock = systemClock
+} = {}) => {
+  const breadcrumbs = [];
+  const lastSeen = new Map(); // fingerprint -> { at, suppressed }
+  const sentAt = [];
+  let dropped = 0;
+  
+  const addBreadcrumb = (category, message, data = {}) => {
+    // Collapse straight repeats (e.g. a spawn skipped every tick) into a count
+    const last = breadcrumbs[breadcrumbs.length - 1];
+    if (last && last.category === category && last.message === message) {
+      last.count = (last.count || 1) + 1;
+      last.ts = clock.now();
+      return;
+    }
+    breadcrumbs.push({ ts: clock.now(), category, message, data });
+    if (breadcrumbs.length > config.MAX_BREADCRUMBS) breadcrumbs.shift();
+  };
+  
+  // Same error type, message and throwing frame = same fingerprint
+  const fingerprint = (name, message, stack) => {
+    const frame = (stack || '').split('\n').find(line => line.trim().startsWith('at ')) || '';
+    return hashSeed(`${name}|${message}|${frame.trim()}`).toString(36);
+  };
+  
+  const capture = (error, context = {}) => {
+    const now = clock.now();
+    const name = (error && error.name) || 'Error';
+    const message = (error && error.message) || String(error);
+    const stack = (error && error.stack) || null;
+    const id = fingerprint(name, message, stack);
+    
+    // Duplicate inside the window: count it and carry the count on the next report
+    const seen = lastSeen.get(id);
+    if (seen && now - seen.at < config.DEDUPE_WINDOW_MS) {
+      seen.suppressed++;
+      return false;
+    }
+    
+    while (sentAt.length > 0 && now - sentAt[0] >= 60000) sentAt.shift();
+    if (sentAt.length >= config.MAX_REPORTS_PER_MINUTE) {
+      dropped++;
+      return false;
+    }
+    
+    const report = {
+      fingerprint: id,
+      name,
+      message,
+      stack,
+      context,
+      suppressed: seen ? seen.suppressed : 0,
+      breadcrumbs: breadcrumbs.slice(),
+      url: window.location.href,
+      userAgent: navigator.userAgent,
+      ts: now
+    };
+    lastSeen.set(id, { at: now, suppressed: 0 });
+    sentAt.push(now);
+    addBreadcrumb('error', `${name}: ${message}`);
+    
+    transport.send({ errors: [report] }).catch(sendError => {
+      console.warn('⚠️ Could not deliver error report:', sendError);
+    });
+    return true;
+  };
+  
+  const getState = () => ({
+    breadcrumbs: breadcrumbs.length,
+    fingerprints: lastSeen.size,
+    dropped
+  });
+  
+  return { addBreadcrumb, capture, getState };
+};
+
+/**
+ * The page's error reporter (set up first thing in initApp)
+ */
+let errorReporter = null;
+
+/**
+ * Record a breadcrumb for the next error report
+ */
+const addBreadcrumb = (category, message, data) => {
+  if (errorReporter) errorReporter.addBreadcrumb(category, message, data);
+};
+
+/**
+ * Report a handled error (e.g. a failed image) with optional context
+ */
+const reportError = (error, context) => {
+  if (errorReporter) errorReporter.capture(error, context);
+};
+
+/**
+ * Global error handler - window errors and unhandled rejections go to the error reporter
  */
 const setupErrorHandling = () => {
+  errorReporter = createErrorReporter();
+  
   window.addEventListener('error', (event) => {
     console.error('JavaScript error:', event.error);
-    // In production, send to error tracking service
+    reportError(event.error || new Error(event.message), {
+      type: 'error',
+      source: `${event.filename}:${event.lineno}:${event.colno}`
+    });
   });
   
   window.addEventListener('unhandledrejection', (event) => {
     console.error('Unhandled promise rejection:', event.reason);
-    // In production, send to error tracking service
+    reportError(event.reason instanceof Error ? event.reason : new Error(String(event.reason)), {
+      type: 'unhandledrejection'
+    });
   });
 };
 
@@ -1170,49 +4855,92 @@ const setupErrorHandling = () => {
 const initApp = () => {
   console.log('Initializing Tang Collection Landing Page...');
   
+  // First, so everything after it leaves breadcrumbs and gets reported
+  setupErrorHandling();
+  setupMotionPolicy();
+  setupOfflineSupport();
+  
   try {
     // Show loading state
     console.log('🔄 Preparing page components...');
+    setupI18n();
+    setupTheme();
+    renderLinkButtons();
+    setupAnalytics();
+    setupSoundEffects();
     showLoadingState();
-    showInitialLoadingOverlay();
     
-    // Preload animations BEFORE setting up interactions
-    preloadGifAnimations().then(() => {
-      console.log('🎬 All GIF animations fully cached! Enabling interactions...');
-      
-      // Only setup button interactions after GIFs are preloaded
+    // Preload assets; only the critical ones gate the page
+    assetPreloader = createPreloader();
+    assetPreloader.addEventListener('progress', (event) => {
+      const { url, status, settled, total } = event.detail;
+      console.log(`${status === 'loaded' ? '📦' : '⚠️'} Preload ${settled}/${total}: ${url} (${status})`);
+      emitTangEvent('preload:progress', event.detail);
+    });
+    assetPreloader.addEventListener('complete', (event) => {
+      const { loaded, failed } = event.detail;
+      if (failed.length === 0) {
+        console.log(`🎬 All ${loaded} assets preloaded`);
+        return;
+      }
+      console.warn(`⚠️ ${failed.length} asset(s) failed to preload:`, failed);
+      reportError(new Error(`${failed.length} asset(s) failed to preload`), { type: 'preload', failed });
+    });
+    
+    // `ready` waits for both the page and the background (or its failure)
+    let pageRevealed;
+    const pageReady = new Promise(resolve => { pageRevealed = resolve; });
+    
+    // Set the page up once the critical art is in, or degraded if it fails or is too slow
+    const revealPage = trackLoadingOverlay(assetPreloader, ({ degraded }) => {
       setupCircularButtons();
-      
-      // Other functionality can proceed
       setupAccessibility();
+      setupGallery();
       setupResponsiveEvents();
       
       // Visual enhancements
       setupEntranceAnimations();
       
-      // Hide loading state
       hideLoadingState();
-      hideInitialLoadingOverlay();
       
-      console.log('✅ Page fully initialized with preloaded assets!');
+      console.log(degraded
+        ? '⚠️ Page initialized without all of its critical assets'
+        : '✅ Page fully initialized with preloaded assets!');
+      pageRevealed({ degraded });
+    });
+    
+    assetPreloader.start().critical.then(({ failed }) => {
+      console.log('🎬 Critical assets settled');
+      revealPage(failed.length > 0 ? 'failed' : 'loaded');
     }).catch((error) => {
       console.warn('⚠️ Preloading failed, but continuing with setup:', error);
-      // Fallback: setup anyway but with potential flash
-      setupCircularButtons();
-      setupAccessibility();
-      setupResponsiveEvents();
-      setupEntranceAnimations();
-      hideLoadingState();
-      hideInitialLoadingOverlay();
+      revealPage('failed');
+    });
+    
+    // NFT background system can start independently once the manifest is in
+    // (offline, it first checks which memes are cached)
+    const backgroundReady = loadMemeManifest().then(() => (isOffline() ? refreshCachedMemes() : null)).then(() => {
+      if (memeManifest.length === 0) {
+        console.warn('⚠️ No usable memes in manifest, background disabled');
+        return false;
+      }
+      initRandomNFTBackgrounds();
+      setupAdaptiveQuality();
+      restorePinnedMemes();
+      setupMemeLightbox();
+      return true;
+    }).catch((error) => {
+      console.warn('⚠️ Failed to load meme manifest, background disabled:', error);
+      return false;
     });
     
-    // NFT background system can start independently
-    initRandomNFTBackgrounds();
+    Promise.all([pageReady, backgroundReady]).then(([{ degraded }, background]) => {
+      markTangReady({ degraded, background });
+    });
     // addFloatingAnimation(); // Uncomment for floating effect
     
     // Performance and monitoring
     monitorPerformance();
-    setupErrorHandling();
     
     console.log('✅ Tang Collection initialized successfully!');
     
@@ -1287,29 +5015,129 @@ const addDynamicAnimations = () => {
 // Add animations when script loads
 addDynamicAnimations();
 
+// ===============================
+// PUBLIC API
+// ===============================
+
+/**
+ * window.TangCollection is an EventTarget; these are its events (detail in brackets):
+ * - `meme:spawn` ({ element, filename })
+ * - `meme:skip` ({ reason, filename }) - a spawn that didn't happen: reason is 'duplicate'
+ *   (every meme is already shown), 'unavailable' (the requested one is unknown or shown)
+ *   or 'no-room'; filename is the requested meme, if any
+ * - `meme:remove` ({ element, filename, reason }) - reason is 'expired', 'turnover',
+ *   'density', 'cleared', 'evicted' (no room after a resize) or 'failed' (image error)
+ * - `button:click` ({ button, url })
+ * - `preload:progress` ({ url, priority, status, settled, total, failed })
+ * - `ready` ({ degraded, background }) - once, when the page is set up and the
+ *   background has started (background: false if it couldn't)
+ */
+const tangEvents = new EventTarget();
+let tangReadyDetail = null;
+
+const emitTangEvent = (type, detail = {}) => {
+  tangEvents.dispatchEvent(new CustomEvent(type, { detail }));
+};
+
+const markTangReady = (detail) => {
+  if (tangReadyDetail) return;
+  tangReadyDetail = detail;
+  console.log(`🟢 TangCollection ready${detail.background ? '' : ' (no background)'}`);
+  emitTangEvent('ready', detail);
+};
+
+/**
+ * Resolves with the `ready` detail, also when called after it fired
+ */
+const whenReady = () => {
+  if (tangReadyDetail) return Promise.resolve(tangReadyDetail);
+  return new Promise(resolve => {
+    tangEvents.addEventListener('ready', (event) => resolve(event.detail), { once: true });
+  });
+};
+
+const requireBackground = (method) => {
+  if (pageBackground) return true;
+  console.warn(`⚠️ TangCollection.${method}() needs the background - wait for the "ready" event`);
+  return false;
+};
+
+/**
+ * The page background's controls (see createMemeBackground)
+ */
+const startBackground = () => requireBackground('start') && pageBackground.start();
+const stopBackground = () => requireBackground('stop') && pageBackground.stop();
+const pauseBackground = () => requireBackground('pause') && pageBackground.pause();
+const resumeBackground = () => requireBackground('resume') && pageBackground.resume();
+const clearBackground = () => requireBackground('clear') && pageBackground.clear();
+
+/**
+ * Set how many memes to keep on screen (0 up to CONFIG.BACKGROUND.MAX_COUNT,
+ * null for the default); returns the new target
+ */
+const setDensity = (count) => (requireBackground('setDensity') ? pageBackground.setDensity(count) : null);
+
+/**
+ * Spawn a specific meme from the manifest now; returns its element, or null
+ * if it is unknown, already shown, or there is no room
+ */
+const spawnMeme = (filename, options) => (requireBackground('spawnMeme') ? pageBackground.spawnMeme(filename, options) : null);
+
+const getBackgroundState = () => (pageBackground ? pageBackground.getState() : null);
+
+/**
+ * Mount another meme background into `container` (see createMemeBackground);
+ * memes appear once the manifest has loaded (never, if it fails to)
+ */
+const mountBackground = (container, options) => {
+  if (!(container instanceof Element)) {
+    console.warn('⚠️ TangCollection.mount() needs a container element');
+    return null;
+  }
+  try {
+    return createMemeBackground(container, options);
+  } catch (error) {
+    console.warn(`⚠️ TangCollection.mount() failed: ${error.message}`);
+    return null;
+  }
+};
+
 // ===============================
 // EXPORT FOR MODULE SYSTEMS
 // ===============================
 
+/**
+ * The public API: the event target above plus the controls
+ */
+const TangCollection = Object.assign(tangEvents, {
+  CONFIG,
+  BUTTON_MANIFEST,
+  renderLinkButtons,
+  setupCircularButtons,
+  addRippleEffect,
+  trackButtonClick,
+  getPerformanceState,
+  whenReady,
+  start: startBackground,
+  stop: stopBackground,
+  pause: pauseBackground,
+  resume: resumeBackground,
+  setDensity,
+  spawnMeme,
+  clear: clearBackground,
+  getBackgroundState,
+  mount: mountBackground
+});
+
 /**
  * Export for potential module usage
  */
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = {
-    CONFIG,
-    setupCircularButtons,
-    addRippleEffect,
-    trackButtonClick
-  };
+  module.exports = TangCollection;
 }
 
 // Global namespace
-window.TangCollection = {
-  CONFIG,
-  setupCircularButtons,
-  addRippleEffect,
-  trackButtonClick
-};
+window.TangCollection = TangCollection;
 
 console.log('🚀 Tang Collection script loaded!');
 
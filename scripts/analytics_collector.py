@@ -0,0 +1,93 @@
+#!/usr/bin/env python3
+"""
+Local Analytics Collector
+Stand-in for the real analytics and error endpoints: prints every batch
+and error report the site sends.
+
+Usage: python3 scripts/analytics_collector.py [port]
+Then set CONFIG.FEATURES.ANALYTICS = true, CONFIG.ANALYTICS.TRANSPORT = 'http'
+and CONFIG.ANALYTICS.ENDPOINT = 'http://localhost:8787/collect' in script.js.
+For error reports set CONFIG.ERRORS.TRANSPORT = 'http' and
+CONFIG.ERRORS.ENDPOINT = 'http://localhost:8787/errors'.
+"""
+
+import json
+import sys
+from datetime import datetime
+from http.server import BaseHTTPRequestHandler, HTTPServer
+
+DEFAULT_PORT = 8787
+
+class CollectorHandler(BaseHTTPRequestHandler):
+    """Accept POST /collect ({"events": [...]}) and /errors ({"errors": [...]}) and log them"""
+
+    def send_cors_headers(self):
+        self.send_header('Access-Control-Allow-Origin', '*')
+        self.send_header('Access-Control-Allow-Methods', 'POST, OPTIONS')
+        self.send_header('Access-Control-Allow-Headers', 'Content-Type')
+
+    def do_OPTIONS(self):
+        self.send_response(204)
+        self.send_cors_headers()
+        self.end_headers()
+
+    def do_POST(self):
+        if self.path not in ('/collect', '/errors'):
+            self.send_response(404)
+            self.send_cors_headers()
+            self.end_headers()
+            return
+
+        length = int(self.headers.get('Content-Length', 0))
+        body = self.rfile.read(length)
+
+        try:
+            payload = json.loads(body)
+            events = payload.get('events', [])
+            errors = payload.get('errors', [])
+        except (ValueError, AttributeError) as e:
+            print(f"❌ Bad batch: {e}")
+            self.send_response(400)
+            self.send_cors_headers()
+            self.end_headers()
+            return
+
+        if events:
+            print(f"\n📊 Batch of {len(events)} event(s) at {datetime.now():%H:%M:%S}")
+            for event in events:
+                props = json.dumps(event.get('props', {}))
+                print(f"  • {event.get('name')} {props} (session {event.get('session')})")
+
+        for report in errors:
+            print(f"\n❌ {report.get('name')}: {report.get('message')} [{report.get('fingerprint')}]")
+            print(f"  🔎 Context: {json.dumps(report.get('context', {}))}")
+            if report.get('suppressed'):
+                print(f"  🔁 {report.get('suppressed')} repeat(s) since the last report")
+            for crumb in report.get('breadcrumbs', []):
+                count = f" x{crumb['count']}" if crumb.get('count') else ''
+                print(f"  🍞 [{crumb.get('category')}] {crumb.get('message')}{count}")
+
+        self.send_response(204)
+        self.send_cors_headers()
+        self.end_headers()
+
+    def log_message(self, format, *args):
+        # Batches are printed above; skip the default access log
+        pass
+
+def main():
+    """Run the collector until interrupted"""
+    port = int(sys.argv[1]) if len(sys.argv) > 1 else DEFAULT_PORT
+    server = HTTPServer(('localhost', port), CollectorHandler)
+    print(f"🚀 Collector listening on http://localhost:{port}/collect and /errors")
+    print("=" * 50)
+
+    try:
+        server.serve_forever()
+    except KeyboardInterrupt:
+        print("\n👋 Collector stopped")
+    finally:
+        server.server_close()
+
+if __name__ == "__main__":
+    main()
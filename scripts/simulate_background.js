@@ -0,0 +1,613 @@
+#!/usr/bin/env node
+/**
+ * Meme Background Simulator
+ * Runs the background scheduler from script.js without a browser - simulated
+ * clock, viewport and page content - and reports how the population rules
+ * behave: memes on screen over time, overlap incidents, duplicate-avoidance
+ * stalls and how evenly each meme was shown. Run it before and after a CONFIG
+ * change to compare the two on numbers.
+ *
+ * Usage: node scripts/simulate_background.js [options]
+ *   --minutes N        Simulated time per viewport (default 30)
+ *   --viewport WxH     Viewports to simulate, comma-separated (default 1440x900,390x844)
+ *   --content WxH      Protected content box, centred in the viewport (default 520x640)
+ *   --seed VALUE       Layout seed (default "sim"); same seed and config, same run
+ *   --sample N         Seconds between timeline samples (default 60)
+ *   --memes N          Only use the first N manifest memes (stresses duplicate avoidance)
+ *   --calm             Simulate calm mode (prefers-reduced-motion)
+ *   --set PATH=VALUE   Override a CONFIG value, e.g. --set BACKGROUND.TARGET_COUNT=5
+ *                      or --set MIN_VISIBLE_MS=8000 (repeatable)
+ *   --json             Print the report as JSON
+ *
+ * script.js is loaded unchanged into a vm context with a minimal headless DOM,
+ * and the background functions are read from its scope, so the simulation
+ * runs the real placement, scheduler and overlap code. Drift motion, image
+ * loading and the adaptive quality tiers are not simulated.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..');
+const SCRIPT_PATH = path.join(ROOT, 'script.js');
+
+const DEFAULTS = {
+  minutes: 30,
+  viewports: ['1440x900', '390x844'],
+  content: '520x640',
+  seed: 'sim',
+  sample: 60,
+  memes: null,
+  calm: false,
+  overrides: [],
+  json: false
+};
+
+// ===============================
+// ARGUMENTS
+// ===============================
+
+/**
+ * Parse "1440x900" into { width, height }
+ */
+const parseSize = (value) => {
+  const match = /^(\d+)x(\d+)$/.exec(value || '');
+  if (!match) throw new Error(`Expected a size like 1440x900, got "${value}"`);
+  return { width: Number(match[1]), height: Number(match[2]) };
+};
+
+/**
+ * Parse a positive number option
+ */
+const parsePositive = (name, value) => {
+  const number = Number(value);
+  if (!(number > 0)) throw new Error(`--${name} expects a positive number, got "${value}"`);
+  return number;
+};
+
+const parseArgs = (argv) => {
+  const options = { ...DEFAULTS, overrides: [] };
+  
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+      return argv[++i];
+    };
+    
+    switch (arg) {
+      case '--minutes': options.minutes = parsePositive('minutes', next()); break;
+      case '--viewport': options.viewports = next().split(',').filter(Boolean); break;
+      case '--content': options.content = next(); break;
+      case '--seed': options.seed = next(); break;
+      case '--sample': options.sample = parsePositive('sample', next()); break;
+      case '--memes': options.memes = Math.floor(parsePositive('memes', next())); break;
+      case '--calm': options.calm = true; break;
+      case '--set': options.overrides.push(next()); break;
+      case '--json': options.json = true; break;
+      case '--help':
+      case '-h':
+        options.help = true;
+        break;
+      default:
+        throw new Error(`Unknown option ${arg} (see --help)`);
+    }
+  }
+  
+  options.viewports.forEach(parseSize);
+  parseSize(options.content);
+  return options;
+};
+
+/**
+ * Apply "PATH=VALUE" to CONFIG; the value is read as JSON when it parses
+ * (numbers, true/false, null, arrays), otherwise as a string
+ */
+const applyOverride = (config, override) => {
+  const [keyPath, ...rest] = override.split('=');
+  if (rest.length === 0) throw new Error(`--set expects PATH=VALUE, got "${override}"`);
+  
+  const rawValue = rest.join('=');
+  let value;
+  try {
+    value = JSON.parse(rawValue);
+  } catch (error) {
+    value = rawValue;
+  }
+  
+  const keys = keyPath.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((node, key) => (node && typeof node === 'object' ? node[key] : undefined), config);
+  if (!target || typeof target !== 'object' || !(last in target)) {
+    throw new Error(`Unknown config key CONFIG.${keyPath}`);
+  }
+  target[last] = value;
+  return `CONFIG.${keyPath} = ${JSON.stringify(value)}`;
+};
+
+// ===============================
+// HEADLESS DOM
+// ===============================
+
+/**
+ * Match the simple selectors the background code uses: a tag name or a single class
+ */
+const matchesSelector = (element, selector) => (selector.startsWith('.')
+  ? element.classList.contains(selector.slice(1))
+  : element.tagName === selector.toUpperCase());
+
+/**
+ * Just enough of an element for script.js: classes, inline style, a child
+ * list, attributes and a bounding rect read back from left/top and the meme size
+ */
+const createFakeElement = (tagName, document) => {
+  const classes = new Set();
+  const attributes = {};
+  
+  const element = {
+    tagName: tagName.toUpperCase(),
+    style: {},
+    children: [],
+    parentNode: null,
+    rect: null, // fixed bounding rect (the simulated content box)
+    
+    classList: {
+      add: (...names) => names.forEach(name => classes.add(name)),
+      remove: (...names) => names.forEach(name => classes.delete(name)),
+      contains: (name) => classes.has(name),
+      toggle: (name, force = !classes.has(name)) => {
+        if (force) classes.add(name); else classes.delete(name);
+        return force;
+      }
+    },
+    
+    get className() {
+      return Array.from(classes).join(' ');
+    },
+    set className(value) {
+      classes.clear();
+      String(value).split(/\s+/).filter(Boolean).forEach(name => classes.add(name));
+    },
+    
+    get isConnected() {
+      let node = element;
+      while (node.parentNode) node = node.parentNode;
+      return node === document.documentElement;
+    },
+    
+    get offsetLeft() {
+      return parseFloat(element.style.left) || 0;
+    },
+    get offsetTop() {
+      return parseFloat(element.style.top) || 0;
+    },
+    
+    appendChild: (child) => {
+      child.remove();
+      child.parentNode = element;
+      element.children.push(child);
+      return child;
+    },
+    
+    remove: () => {
+      if (!element.parentNode) return;
+      const siblings = element.parentNode.children;
+      siblings.splice(siblings.indexOf(element), 1);
+      element.parentNode = null;
+    },
+    
+    contains: (other) => {
+      for (let node = other; node; node = node.parentNode) {
+        if (node === element) return true;
+      }
+      return false;
+    },
+    
+    querySelectorAll: (selector) => {
+      const found = [];
+      const walk = (node) => node.children.forEach(child => {
+        if (matchesSelector(child, selector)) found.push(child);
+        walk(child);
+      });
+      walk(element);
+      return found;
+    },
+    querySelector: (selector) => element.querySelectorAll(selector)[0] || null,
+    
+    getBoundingClientRect: () => {
+      if (element.rect) return element.rect;
+      const left = element.offsetLeft;
+      const top = element.offsetTop;
+      const size = element.elementSize || 0;
+      return { left, top, right: left + size, bottom: top + size, width: size, height: size };
+    },
+    
+    setAttribute: (name, value) => {
+      attributes[name] = String(value);
+    },
+    getAttribute: (name) => (name in attributes ? attributes[name] : null),
+    addEventListener: () => {},
+    removeEventListener: () => {}
+  };
+  
+  return element;
+};
+
+const createFakeDocument = () => {
+  const document = {
+    hidden: false,
+    addEventListener: () => {},
+    removeEventListener: () => {},
+    createElement: (tagName) => createFakeElement(tagName, document)
+  };
+  document.documentElement = createFakeElement('html', document);
+  document.head = document.documentElement.appendChild(createFakeElement('head', document));
+  document.body = document.documentElement.appendChild(createFakeElement('body', document));
+  document.querySelector = (selector) => document.documentElement.querySelector(selector);
+  document.querySelectorAll = (selector) => document.documentElement.querySelectorAll(selector);
+  return document;
+};
+
+// ===============================
+// LOADING SCRIPT.JS
+// ===============================
+
+/**
+ * Run script.js in a sandbox and return the background functions from its scope.
+ * Its console.log chatter is dropped; warnings and errors go to stderr.
+ */
+const loadBackground = () => {
+  const sandbox = {
+    document: createFakeDocument(),
+    navigator: { onLine: true, language: 'en', languages: ['en'], userAgent: 'simulate_background' },
+    location: { href: 'http://localhost/', search: '', hash: '' },
+    innerWidth: 1440,
+    innerHeight: 900,
+    console: {
+      log: () => {},
+      info: () => {},
+      warn: (...args) => console.error('⚠️ [script.js]', ...args),
+      error: (...args) => console.error('❌ [script.js]', ...args)
+    },
+    // The manifest is read from disk instead of over HTTP
+    fetch: (url) => Promise.resolve().then(() => {
+      const body = fs.readFileSync(path.join(ROOT, url), 'utf8');
+      return { ok: true, status: 200, json: () => Promise.resolve(JSON.parse(body)) };
+    }),
+    EventTarget,
+    CustomEvent,
+    URL,
+    URLSearchParams,
+    Intl,
+    setTimeout,
+    clearTimeout,
+    setInterval,
+    clearInterval
+  };
+  sandbox.window = sandbox;
+  
+  const context = vm.createContext(sandbox);
+  vm.runInContext(fs.readFileSync(SCRIPT_PATH, 'utf8'), context, { filename: SCRIPT_PATH });
+  
+  const background = vm.runInContext(`({
+    CONFIG, memeManifest, motionPolicy, loadMemeManifest, createMemeStage,
+    createBackgroundScheduler, createSeededRandom, squaresCollide, isInMainContentArea
+  })`, context);
+  return { ...background, window: sandbox, document: sandbox.document };
+};
+
+// ===============================
+// SIMULATION
+// ===============================
+
+/**
+ * Simulate one viewport for `minutes` and collect the raw measurements
+ */
+const simulate = (background, { viewport, content, minutes, seed, sample }) => {
+  const { CONFIG, window, document } = background;
+  const config = CONFIG.BACKGROUND;
+  const durationMs = minutes * 60000;
+  const sampleMs = sample * 1000;
+  
+  window.innerWidth = viewport.width;
+  window.innerHeight = viewport.height;
+  
+  // The page content memes must keep clear of, centred like .main-container
+  const contentBox = document.createElement('main');
+  contentBox.className = 'sim-content';
+  const boxWidth = Math.min(content.width, viewport.width);
+  const boxHeight = Math.min(content.height, viewport.height);
+  const left = (viewport.width - boxWidth) / 2;
+  const top = (viewport.height - boxHeight) / 2;
+  contentBox.rect = { left, top, right: left + boxWidth, bottom: top + boxHeight, width: boxWidth, height: boxHeight };
+  document.body.appendChild(contentBox);
+  
+  let now = 0;
+  const clock = { now: () => now, setInterval: () => 1, clearInterval: () => {} };
+  
+  const exposure = new Map(); // filename -> { spawns, visibleMs, since }
+  background.memeManifest.forEach(entry => exposure.set(entry.filename, { spawns: 0, visibleMs: 0, since: null }));
+  const removals = {};
+  const stalls = createStallCounter();
+  let spawns = 0;
+  
+  const stage = background.createMemeStage({ container: document.body, protect: ['.sim-content'] });
+  stage.measureZones();
+  const scheduler = background.createBackgroundScheduler({
+    stage,
+    clock,
+    random: background.createSeededRandom(`${seed}:${viewport.width}x${viewport.height}`),
+    emit: (type, detail) => {
+      const record = exposure.get(detail.filename);
+      if (type === 'meme:spawn') {
+        spawns++;
+        stalls.onSpawn(now);
+        record.spawns++;
+        record.since = now;
+      } else if (type === 'meme:skip') {
+        stalls.onSkip(detail.reason, now);
+      } else if (type === 'meme:remove') {
+        removals[detail.reason] = (removals[detail.reason] || 0) + 1;
+        if (record.since !== null) {
+          record.visibleMs += now - record.since;
+          record.since = null;
+        }
+      }
+    }
+  });
+  
+  const timeAtCount = {}; // active count -> ms
+  const timeline = [];
+  let belowTargetMs = 0;
+  let timeToTargetMs = null;
+  let overlapIncidents = 0;
+  let contentIntrusions = 0;
+  let overlapping = new Set(); // "a|b" pairs overlapping on the previous tick
+  let intruding = new Set();
+  const ids = new WeakMap();
+  let nextId = 0;
+  const idOf = (element) => {
+    if (!ids.has(element)) ids.set(element, nextId++);
+    return ids.get(element);
+  };
+  
+  scheduler.start();
+  
+  for (now = 0; now <= durationMs; now += config.TICK_MS) {
+    scheduler.tick();
+    const state = scheduler.getState();
+    
+    // Each tick stands for the interval after it; the one at the very end only samples
+    if (now < durationMs) {
+      timeAtCount[state.active] = (timeAtCount[state.active] || 0) + config.TICK_MS;
+      if (state.active < state.target) belowTargetMs += config.TICK_MS;
+    }
+    if (timeToTargetMs === null && state.active >= state.target) timeToTargetMs = now;
+    if (now % sampleMs === 0) timeline.push(state.active);
+    
+    // Every meme still holding a position, fading ones included, must not overlap
+    const placed = scheduler.getElements().filter(element => element.positionRef);
+    const overlappingNow = new Set();
+    for (let i = 0; i < placed.length; i++) {
+      for (let j = i + 1; j < placed.length; j++) {
+        if (background.squaresCollide(placed[i].positionRef, placed[j].positionRef, 0)) {
+          const key = `${idOf(placed[i])}|${idOf(placed[j])}`;
+          if (!overlapping.has(key)) overlapIncidents++;
+          overlappingNow.add(key);
+        }
+      }
+    }
+    overlapping = overlappingNow;
+    
+    const intrudingNow = new Set();
+    placed.forEach(element => {
+      const { x, y, size } = element.positionRef;
+      if (background.isInMainContentArea(stage.getZones(), x - size / 2, y - size / 2, size)) {
+        if (!intruding.has(idOf(element))) contentIntrusions++;
+        intrudingNow.add(idOf(element));
+      }
+    });
+    intruding = intrudingNow;
+  }
+  now = durationMs;
+  
+  // Memes still on screen count up to the end of the run
+  exposure.forEach(record => {
+    if (record.since !== null) record.visibleMs += now - record.since;
+  });
+  
+  scheduler.stop();
+  stage.destroy();
+  contentBox.remove();
+  
+  return {
+    durationMs, timeAtCount, timeline, belowTargetMs, timeToTargetMs,
+    overlapIncidents, contentIntrusions, exposure, removals, spawns,
+    stalls: stalls.finish(now),
+    target: scheduler.getState().target
+  };
+};
+
+/**
+ * Count the spawns the scheduler skipped (its 'meme:skip' events). A
+ * duplicate-avoidance episode runs from the first 'duplicate' skip until the
+ * next successful spawn.
+ */
+const createStallCounter = () => {
+  const counts = { duplicate: 0, duplicateEpisodes: 0, longestDuplicateMs: 0, noRoom: 0 };
+  let episodeStart = null;
+  
+  const closeEpisode = (now) => {
+    if (episodeStart === null) return;
+    counts.longestDuplicateMs = Math.max(counts.longestDuplicateMs, now - episodeStart);
+    episodeStart = null;
+  };
+  
+  return {
+    onSkip: (reason, now) => {
+      if (reason === 'duplicate') {
+        counts.duplicate++;
+        if (episodeStart === null) {
+          episodeStart = now;
+          counts.duplicateEpisodes++;
+        }
+      } else if (reason === 'no-room') {
+        counts.noRoom++;
+      }
+    },
+    onSpawn: closeEpisode,
+    finish: (now) => {
+      closeEpisode(now);
+      return counts;
+    }
+  };
+};
+
+// ===============================
+// REPORT
+// ===============================
+
+const round = (value, digits = 1) => Number(value.toFixed(digits));
+
+/**
+ * Turn one run's measurements into the report for that viewport
+ */
+const summarize = (viewport, result, memeCount) => {
+  const { durationMs } = result;
+  const counts = Object.keys(result.timeAtCount).map(Number);
+  const meanActive = counts.reduce((sum, count) => sum + count * result.timeAtCount[count], 0) / durationMs;
+  
+  const histogram = {};
+  counts.sort((a, b) => a - b).forEach(count => {
+    histogram[count] = round((result.timeAtCount[count] / durationMs) * 100);
+  });
+  
+  // Evenness over the whole pool: memes never shown count as 0s
+  const records = Array.from(result.exposure, ([filename, record]) => ({ filename, ...record }));
+  const visible = records.map(record => record.visibleMs / 1000);
+  const meanVisible = visible.reduce((sum, value) => sum + value, 0) / visible.length;
+  const deviation = Math.sqrt(visible.reduce((sum, value) => sum + (value - meanVisible) ** 2, 0) / visible.length);
+  const bySpawns = records.slice().sort((a, b) => b.spawns - a.spawns || b.visibleMs - a.visibleMs);
+  const describe = (record) => ({ filename: record.filename, spawns: record.spawns, visibleS: round(record.visibleMs / 1000) });
+  
+  return {
+    viewport: `${viewport.width}x${viewport.height}`,
+    minutes: durationMs / 60000,
+    target: result.target,
+    onScreen: {
+      mean: round(meanActive, 2),
+      min: counts[0],
+      max: counts[counts.length - 1],
+      belowTargetPct: round((result.belowTargetMs / durationMs) * 100),
+      timeToTargetS: result.timeToTargetMs === null ? null : round(result.timeToTargetMs / 1000),
+      histogramPct: histogram,
+      timeline: result.timeline
+    },
+    overlaps: {
+      memePairs: result.overlapIncidents,
+      contentIntrusions: result.contentIntrusions
+    },
+    stalls: {
+      duplicateAttempts: result.stalls.duplicate,
+      duplicateEpisodes: result.stalls.duplicateEpisodes,
+      longestDuplicateS: round(result.stalls.longestDuplicateMs / 1000),
+      noRoomAttempts: result.stalls.noRoom
+    },
+    exposure: {
+      memes: memeCount,
+      spawns: result.spawns,
+      shown: records.filter(record => record.spawns > 0).length,
+      neverShown: records.filter(record => record.spawns === 0).length,
+      meanVisibleS: round(meanVisible),
+      minVisibleS: round(Math.min(...visible)),
+      maxVisibleS: round(Math.max(...visible)),
+      cv: meanVisible > 0 ? round(deviation / meanVisible, 2) : null,
+      mostShown: bySpawns.slice(0, 3).map(describe),
+      leastShown: bySpawns.slice(-3).reverse().map(describe)
+    },
+    removals: result.removals
+  };
+};
+
+const printReport = (report, sample) => {
+  const { onScreen, overlaps, stalls, exposure } = report;
+  const histogram = Object.entries(onScreen.histogramPct).map(([count, pct]) => `${count}: ${pct}%`).join('  ');
+  const removals = Object.entries(report.removals).map(([reason, count]) => `${reason} ${count}`).join(', ') || 'none';
+  
+  console.log(`\n🖥️  Viewport ${report.viewport} - ${report.minutes} min, target ${report.target}`);
+  console.log('-'.repeat(50));
+  console.log(`  📊 On screen: mean ${onScreen.mean}, range ${onScreen.min}-${onScreen.max}, ` +
+    `below target ${onScreen.belowTargetPct}% of the time`);
+  console.log(`  ⏱️  Target first reached: ${onScreen.timeToTargetS === null ? 'never' : `${onScreen.timeToTargetS}s`}`);
+  console.log(`  📈 Time at each count: ${histogram}`);
+  console.log(`  🕒 Timeline (every ${sample}s): ${onScreen.timeline.join(' ')}`);
+  console.log(`  💥 Overlap incidents: ${overlaps.memePairs} meme pairs, ${overlaps.contentIntrusions} content intrusions`);
+  console.log(`  🔁 Duplicate-avoidance stalls: ${stalls.duplicateAttempts} skipped spawns in ` +
+    `${stalls.duplicateEpisodes} episodes (longest ${stalls.longestDuplicateS}s)`);
+  console.log(`  📐 No-room skips: ${stalls.noRoomAttempts}`);
+  console.log(`  🎨 Exposure: ${exposure.shown}/${exposure.memes} memes shown (${exposure.spawns} spawns), ` +
+    `visible ${exposure.minVisibleS}-${exposure.maxVisibleS}s (mean ${exposure.meanVisibleS}s, CV ${exposure.cv})`);
+  console.log(`     Most shown: ${exposure.mostShown.map(meme => `${meme.filename} x${meme.spawns}`).join(', ')}`);
+  console.log(`     Least shown: ${exposure.leastShown.map(meme => `${meme.filename} x${meme.spawns}`).join(', ')}`);
+  console.log(`  👋 Removals: ${removals}`);
+};
+
+// ===============================
+// MAIN
+// ===============================
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    const header = fs.readFileSync(__filename, 'utf8').split('*/')[0];
+    console.log(header.split('\n').slice(2).map(line => line.replace(/^ \* ?/, '')).join('\n'));
+    return;
+  }
+  
+  const background = loadBackground();
+  const overrides = options.overrides.map(override => applyOverride(background.CONFIG, override));
+  background.motionPolicy.calm = options.calm;
+  
+  await background.loadMemeManifest();
+  if (options.memes !== null) background.memeManifest.splice(options.memes);
+  if (background.memeManifest.length === 0) throw new Error('No usable memes in memes/manifest.json');
+  
+  const runs = options.viewports.map(size => {
+    const viewport = parseSize(size);
+    const result = simulate(background, {
+      viewport,
+      content: parseSize(options.content),
+      minutes: options.minutes,
+      seed: options.seed,
+      sample: options.sample
+    });
+    return summarize(viewport, result, background.memeManifest.length);
+  });
+  
+  const report = {
+    seed: options.seed,
+    calm: options.calm,
+    memes: background.memeManifest.length,
+    overrides,
+    runs
+  };
+  
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+  
+  console.log('🧪 Meme Background Simulation');
+  console.log('='.repeat(50));
+  console.log(`🎲 Seed: ${report.seed}${report.calm ? ' (calm mode)' : ''}`);
+  console.log(`🎨 Memes: ${report.memes}`);
+  console.log(`⚙️  Overrides: ${overrides.length > 0 ? overrides.join(', ') : 'none'}`);
+  runs.forEach(run => printReport(run, options.sample));
+  console.log('\n' + '='.repeat(50));
+};
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,147 @@
+/**
+ * Tang Collection - Service Worker
+ * Precaches the page shell and button art, caches memes the first time they are
+ * shown, and serves everything from cache when the network is gone.
+ * Registered from script.js (CONFIG.OFFLINE).
+ */
+
+// ===============================
+// CACHE NAMES & PRECACHE LIST
+// ===============================
+
+// Bump on every deploy that changes a precached file; activation drops the old caches
+const CACHE_VERSION = 'v2';
+const CACHE_PREFIX = 'tang-';
+const SHELL_CACHE = `${CACHE_PREFIX}shell-${CACHE_VERSION}`;
+const MEME_CACHE = `${CACHE_PREFIX}memes-${CACHE_VERSION}`;
+
+// The page shell. Button art isn't listed here: script.js sends its preload
+// manifest (built from BUTTON_MANIFEST) once the worker is registered
+const SHELL_URLS = [
+  './',
+  'index.html',
+  'styles.css',
+  'script.js',
+  'memes/manifest.json',
+  'docs/collection.json',
+  'assets/images/header.png',
+  'assets/icons/favicon.png',
+  'assets/icons/favicon.svg',
+  'assets/cursors/cursor.png',
+  'assets/cursors/cursor_small.png'
+];
+
+// Fetched network-first so a deploy shows up on the next online visit
+const NETWORK_FIRST = /(\/|\.(html|css|js|json))$/;
+const MEME_PATH = /\/memes\/[^/]+\.(png|jpe?g|gif|webp)$/i;
+
+// ===============================
+// CACHING HELPERS
+// ===============================
+
+/**
+ * Cache every URL that can be fetched; one missing file shouldn't cost the
+ * whole precache, so failures are only logged
+ */
+const cacheUrls = async (cacheName, urls) => {
+  const cache = await caches.open(cacheName);
+  // cache: 'reload' skips the HTTP cache so a new version never precaches stale files
+  const results = await Promise.allSettled(urls.map(url => cache.add(new Request(url, { cache: 'reload' }))));
+  const failed = urls.filter((url, i) => results[i].status === 'rejected');
+  if (failed.length > 0) console.warn(`⚠️ [sw] Could not precache ${failed.length} file(s):`, failed);
+  return urls.length - failed.length;
+};
+
+/**
+ * Serve from cache, falling back to the network and caching what comes back
+ */
+const cacheFirst = async (request, cacheName) => {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(cacheName);
+    cache.put(request, response.clone());
+  }
+  return response;
+};
+
+/**
+ * Try the network (refreshing the cache), falling back to the cached copy offline
+ */
+const networkFirst = async (request, cacheName) => {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(cacheName);
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await caches.match(request, { ignoreSearch: request.mode === 'navigate' });
+    if (cached) return cached;
+    // Offline navigation to a URL we never cached (e.g. ?meme=...) gets the page itself
+    if (request.mode === 'navigate') {
+      const shell = await caches.match('index.html');
+      if (shell) return shell;
+    }
+    throw error;
+  }
+};
+
+// ===============================
+// LIFECYCLE
+// ===============================
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    cacheUrls(SHELL_CACHE, SHELL_URLS)
+      .then(count => console.log(`📦 [sw] Precached ${count}/${SHELL_URLS.length} shell files (${CACHE_VERSION})`))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  const current = [SHELL_CACHE, MEME_CACHE];
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names
+        .filter(name => name.startsWith(CACHE_PREFIX) && !current.includes(name))
+        .map(name => {
+          console.log(`🧹 [sw] Deleting old cache ${name}`);
+          return caches.delete(name);
+        })))
+      .then(() => self.clients.claim())
+  );
+});
+
+// ===============================
+// MESSAGES & FETCH
+// ===============================
+
+/**
+ * { type: 'PRECACHE', urls } - extra shell assets from the page (button art)
+ */
+self.addEventListener('message', (event) => {
+  const data = event.data || {};
+  if (data.type === 'PRECACHE' && Array.isArray(data.urls)) {
+    event.waitUntil(cacheUrls(SHELL_CACHE, data.urls));
+  }
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return; // Analytics and error reports go straight out
+  
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return; // Gallery art and links are left alone
+  
+  if (MEME_PATH.test(url.pathname)) {
+    event.respondWith(cacheFirst(request, MEME_CACHE));
+  } else if (request.mode === 'navigate' || NETWORK_FIRST.test(url.pathname)) {
+    event.respondWith(networkFirst(request, SHELL_CACHE));
+  } else {
+    event.respondWith(cacheFirst(request, SHELL_CACHE));
+  }
+});